@@ -0,0 +1,161 @@
+import { MODULE_ID, SETTINGS_KEYS } from "../constants.mjs";
+import { getSetting, setSetting } from "../settings.mjs";
+import { FatePointManager } from "../fate-point-manager.mjs";
+import { UIHandler } from "../ui-handler.mjs";
+import { localize } from "../utils.mjs";
+
+const { ApplicationV2 } = foundry.applications.api;
+
+/**
+ * Floating window showing every character's Fate, the party Fate pool, the GM Ruin pool and tracked NPC pools
+ * Uses the same displays and controls as the player list, so it keeps working when the list is hidden
+ */
+export class FateTracker extends ApplicationV2 {
+
+    static DEFAULT_OPTIONS = {
+        id: `${MODULE_ID}-tracker`,
+        classes: [MODULE_ID, "impmal-fate-tracker"],
+        window: {
+            title: "IMPMAL_SHARED_FATE.Tracker.Title",
+            icon: "fas fa-dice-d20",
+            resizable: true,
+            minimizable: true
+        },
+        position: {
+            width: 260,
+            height: "auto"
+        }
+    };
+
+    /**
+     * The open tracker, if any
+     * @type {FateTracker|null}
+     * @private
+     */
+    static _instance = null;
+
+    /**
+     * Save the window position once dragging or resizing settles
+     * @type {Function}
+     * @private
+     */
+    _savePosition = foundry.utils.debounce(position => {
+        const { left, top, width, height } = position;
+        setSetting(SETTINGS_KEYS.TRACKER_POSITION, { left, top, width, height });
+    }, 500);
+
+    /**
+     * Open the tracker at its saved position
+     * @returns {FateTracker} The tracker
+     */
+    static open() {
+        if (!this._instance) {
+            const position = getSetting(SETTINGS_KEYS.TRACKER_POSITION) ?? {};
+            this._instance = new FateTracker({ position: foundry.utils.deepClone(position) });
+        }
+        this._instance.render({ force: true });
+        return this._instance;
+    }
+
+    /**
+     * Show or hide the tracker to match the "Show Fate Tracker" setting
+     * @param {boolean} show - Whether the tracker should be shown
+     */
+    static toggle(show) {
+        if (show) {
+            this.open();
+        } else {
+            this._instance?.close({ fromSetting: true });
+        }
+    }
+
+    /**
+     * Re-render the tracker if it is open
+     */
+    static refresh() {
+        if (this._instance?.rendered) this._instance.render();
+    }
+
+    /** @override */
+    async _renderHTML(context, options) {
+        const list = document.createElement("ol");
+        list.classList.add("fate-tracker-list");
+
+        // Ruin sits at the top, with controls for users allowed to manage it
+        if (FatePointManager.canSeeRuin()) {
+            for (const pool of FatePointManager.getRuinPools()) {
+                list.appendChild(this._createRow(pool.name, UIHandler._createRuinDisplay(pool.id)));
+            }
+        }
+
+        // Named NPCs and Patrons keep their own pools, listed beside Ruin
+        for (const npc of FatePointManager.getTrackedNPCs()) {
+            if (!FatePointManager.canSeeFate(npc)) continue;
+            const row = this._createRow(npc.name, UIHandler._createFateDisplay(npc));
+            row.classList.add("npc");
+            list.appendChild(row);
+        }
+
+        if (FatePointManager.usesPartyFate()) {
+            list.appendChild(this._createRow(localize("PartyFate"), UIHandler._createFateDisplay(null)));
+        }
+
+        const characters = FatePointManager.usesCharacterFate() ? FatePointManager.getPartyCharacters() : [];
+        for (const character of characters) {
+            if (!FatePointManager.getFatePoints(character) || !FatePointManager.canSeeFate(character)) continue;
+            list.appendChild(this._createRow(character.name, UIHandler._createFateDisplay(character)));
+        }
+
+        if (!list.children.length) {
+            const empty = document.createElement("li");
+            empty.classList.add("fate-tracker-empty");
+            empty.textContent = localize("Tracker.Empty");
+            list.appendChild(empty);
+        }
+
+        return list;
+    }
+
+    /** @override */
+    _replaceHTML(result, content, options) {
+        content.replaceChildren(result);
+    }
+
+    /** @override */
+    setPosition(position) {
+        const updated = super.setPosition(position);
+        if (this.rendered && updated) this._savePosition(updated);
+        return updated;
+    }
+
+    /** @override */
+    _onClose(options) {
+        super._onClose(options);
+        FateTracker._instance = null;
+
+        // Closing the window by hand turns the setting off so it stays closed after a reload
+        if (!options.fromSetting && getSetting(SETTINGS_KEYS.SHOW_TRACKER)) {
+            setSetting(SETTINGS_KEYS.SHOW_TRACKER, false);
+        }
+    }
+
+    /**
+     * Create a labelled tracker row
+     * @param {string} label - The row label
+     * @param {HTMLElement} display - The Fate or Ruin display
+     * @returns {HTMLElement} The row
+     * @private
+     */
+    _createRow(label, display) {
+        const row = document.createElement("li");
+        row.classList.add("fate-tracker-row");
+
+        const name = document.createElement("span");
+        name.classList.add("fate-tracker-label");
+        name.textContent = label;
+
+        row.appendChild(name);
+        row.appendChild(display);
+        return row;
+    }
+}
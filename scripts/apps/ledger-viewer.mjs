@@ -0,0 +1,174 @@
+import { MODULE_ID } from "../constants.mjs";
+import { Ledger } from "../ledger.mjs";
+import { localize, format } from "../utils.mjs";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * GM window listing the Fate/Ruin ledger with filters and export
+ */
+export class LedgerViewer extends HandlebarsApplicationMixin(ApplicationV2) {
+
+    static DEFAULT_OPTIONS = {
+        classes: [MODULE_ID, "impmal-ledger-viewer"],
+        window: {
+            title: "IMPMAL_SHARED_FATE.Ledger.Title",
+            icon: "fas fa-book",
+            resizable: true
+        },
+        position: {
+            width: 760,
+            height: 520
+        },
+        actions: {
+            exportCSV: LedgerViewer._onExportCSV,
+            exportJSON: LedgerViewer._onExportJSON,
+            clearLedger: LedgerViewer._onClearLedger
+        }
+    };
+
+    static PARTS = {
+        ledger: {
+            template: `modules/${MODULE_ID}/templates/ledger-viewer.hbs`,
+            scrollable: [".ledger-entries"]
+        }
+    };
+
+    /**
+     * The active filters
+     * @type {{actorId: string, session: string, type: string}}
+     */
+    filters = { actorId: "", session: "", type: "" };
+
+    /**
+     * Re-render every open ledger window
+     */
+    static refresh() {
+        for (const app of foundry.applications.instances.values()) {
+            if (app instanceof LedgerViewer && app.rendered) app.render();
+        }
+    }
+
+    /**
+     * Get the ledger entries matching the active filters
+     * @returns {object[]} The filtered entries, oldest first
+     */
+    getFilteredEntries() {
+        const { actorId, session, type } = this.filters;
+        return Ledger.getVisibleEntries().filter(entry => {
+            if (actorId && entry.actorId !== actorId) return false;
+            if (session && String(Ledger.getSession(entry)) !== session) return false;
+            if (type && entry.type !== type) return false;
+            return true;
+        });
+    }
+
+    /** @override */
+    async _prepareContext(options) {
+        const allEntries = Ledger.getVisibleEntries();
+
+        const characterOptions = {};
+        const sessionOptions = {};
+        for (const entry of allEntries) {
+            if (entry.actorId) characterOptions[entry.actorId] = Ledger.getTargetName(entry);
+            const session = Ledger.getSession(entry);
+            sessionOptions[session] = Ledger.getSessionLabel(session);
+        }
+
+        // Newest entries first
+        const entries = this.getFilteredEntries().reverse().map(entry => ({
+            ...entry,
+            time: new Date(entry.timestamp).toLocaleString(),
+            targetName: Ledger.getTargetName(entry),
+            typeLabel: localize(`Ledger.Types.${entry.type}`),
+            reasonLabel: this._getReasonLabel(entry),
+            deltaLabel: entry.delta > 0 ? `+${entry.delta}` : `${entry.delta}`,
+            maxChanged: Number.isFinite(entry.oldMax)
+        }));
+
+        return {
+            filters: this.filters,
+            characterOptions,
+            sessionOptions,
+            typeOptions: {
+                fate: localize("Ledger.Types.fate"),
+                party: localize("Ledger.Types.party"),
+                ruin: localize("Ledger.Types.ruin")
+            },
+            entries,
+            summary: format("Ledger.Summary", { count: entries.length, total: allEntries.length }),
+            isGM: game.user.isGM
+        };
+    }
+
+    /** @override */
+    _onRender(context, options) {
+        super._onRender(context, options);
+
+        for (const select of this.element.querySelectorAll("select[data-filter]")) {
+            select.addEventListener("change", event => {
+                this.filters[event.currentTarget.dataset.filter] = event.currentTarget.value;
+                this.render();
+            });
+        }
+    }
+
+    /**
+     * Get a readable label for a ledger entry's reason, including what the points were spent on
+     * @param {object} entry - The ledger entry
+     * @returns {string} The localized label, or the raw reason if there is none
+     * @private
+     */
+    _getReasonLabel(entry) {
+        const key = `IMPMAL_SHARED_FATE.Ledger.Reasons.${entry.reason}`;
+        const label = game.i18n.has(key) ? game.i18n.localize(key) : entry.reason;
+        const detail = entry.use ? localize(`FateUses.${entry.use}`) : entry.detail;
+        return detail ? `${label} (${detail})` : label;
+    }
+
+    /**
+     * Download the filtered entries as a file
+     * @param {string} content - The file content
+     * @param {string} type - The MIME type
+     * @param {string} extension - The file extension
+     * @private
+     */
+    _download(content, type, extension) {
+        const save = foundry.utils.saveDataToFile ?? globalThis.saveDataToFile;
+        const date = new Date().toISOString().slice(0, 10);
+        save(content, type, `${MODULE_ID}-ledger-${date}.${extension}`);
+    }
+
+    /**
+     * Export the filtered entries as CSV
+     * @this {LedgerViewer}
+     * @private
+     */
+    static _onExportCSV() {
+        this._download(Ledger.toCSV(this.getFilteredEntries()), "text/csv", "csv");
+    }
+
+    /**
+     * Export the filtered entries as JSON
+     * @this {LedgerViewer}
+     * @private
+     */
+    static _onExportJSON() {
+        this._download(Ledger.toJSON(this.getFilteredEntries()), "application/json", "json");
+    }
+
+    /**
+     * Clear the ledger after confirmation
+     * @this {LedgerViewer}
+     * @private
+     */
+    static async _onClearLedger() {
+        const confirmed = await foundry.applications.api.DialogV2.confirm({
+            window: { title: localize("Ledger.ClearTitle") },
+            content: localize("Ledger.ClearContent"),
+            defaultYes: false
+        });
+
+        if (confirmed) await Ledger.clear();
+    }
+}
@@ -0,0 +1,142 @@
+import { MODULE_ID, SETTINGS_KEYS, PERMISSIONS } from "../constants.mjs";
+import { setSetting } from "../settings.mjs";
+import { Permissions } from "../permissions.mjs";
+import { log, localize } from "../utils.mjs";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * Roles whose permissions can be edited, with their core labels; Gamemasters always have every permission
+ * @type {Record<string, string>}
+ */
+const EDITABLE_ROLES = {
+    PLAYER: "USER.RolePlayer",
+    TRUSTED: "USER.RoleTrusted",
+    ASSISTANT: "USER.RoleAssistant"
+};
+
+/**
+ * GM form for the per-role and per-user Fate/Ruin permission matrix
+ */
+export class PermissionConfig extends HandlebarsApplicationMixin(ApplicationV2) {
+
+    static DEFAULT_OPTIONS = {
+        tag: "form",
+        classes: [MODULE_ID, "impmal-permission-config"],
+        window: {
+            title: "IMPMAL_SHARED_FATE.Permissions.Title",
+            icon: "fas fa-user-lock",
+            resizable: true
+        },
+        position: {
+            width: 720,
+            height: "auto"
+        },
+        form: {
+            handler: PermissionConfig._onSubmit,
+            closeOnSubmit: true
+        },
+        actions: {
+            resetDefaults: PermissionConfig._onResetDefaults
+        }
+    };
+
+    static PARTS = {
+        permissions: {
+            template: `modules/${MODULE_ID}/templates/permission-config.hbs`,
+            scrollable: [".permission-matrix"]
+        }
+    };
+
+    /** @override */
+    async _prepareContext(options) {
+        const matrix = Permissions.getMatrix();
+        const permissions = Object.values(PERMISSIONS).map(key => ({
+            key,
+            label: localize(`Permissions.Actions.${key}`)
+        }));
+
+        const roles = Object.entries(EDITABLE_ROLES).map(([name, label]) => {
+            const role = CONST.USER_ROLES[name];
+            return {
+                role,
+                label: game.i18n.localize(label),
+                values: permissions.map(({ key }) => ({ key, checked: matrix.roles[role]?.[key] ?? false }))
+            };
+        });
+
+        const users = game.users
+            .filter(user => user.role < CONST.USER_ROLES.GAMEMASTER)
+            .map(user => ({
+                id: user.id,
+                name: user.name,
+                values: permissions.map(({ key }) => {
+                    const override = matrix.users[user.id]?.[key];
+                    return { key, value: typeof override === "boolean" ? (override ? "allow" : "deny") : "" };
+                })
+            }));
+
+        return {
+            permissions,
+            roles,
+            users,
+            overrideOptions: {
+                "": localize("Permissions.Inherit"),
+                allow: localize("Permissions.Allow"),
+                deny: localize("Permissions.Deny")
+            }
+        };
+    }
+
+    /**
+     * Convert flat form data into the stored matrix
+     * @param {object} data - The flat form data
+     * @returns {{roles: object, users: object}} The matrix, without "inherit" user entries
+     * @private
+     */
+    static _parseMatrix(data) {
+        const { roles = {}, users = {} } = foundry.utils.expandObject(data);
+
+        const parsedRoles = {};
+        for (const [role, values] of Object.entries(roles)) {
+            parsedRoles[role] = Object.fromEntries(Object.values(PERMISSIONS).map(key => [key, Boolean(values[key])]));
+        }
+
+        const parsedUsers = {};
+        for (const [userId, values] of Object.entries(users)) {
+            const overrides = {};
+            for (const [key, value] of Object.entries(values)) {
+                if (value === "allow") overrides[key] = true;
+                else if (value === "deny") overrides[key] = false;
+            }
+            if (!foundry.utils.isEmpty(overrides)) parsedUsers[userId] = overrides;
+        }
+
+        return { roles: parsedRoles, users: parsedUsers };
+    }
+
+    /**
+     * Restore the default permissions
+     * @this {PermissionConfig}
+     * @private
+     */
+    static async _onResetDefaults() {
+        await setSetting(SETTINGS_KEYS.PERMISSIONS, {});
+        log("info", "Permissions reset to defaults");
+        this.render();
+    }
+
+    /**
+     * Save the matrix
+     * @this {PermissionConfig}
+     * @param {SubmitEvent} event - The submit event
+     * @param {HTMLFormElement} form - The form
+     * @param {FormDataExtended} formData - The submitted data
+     * @private
+     */
+    static async _onSubmit(event, form, formData) {
+        const matrix = PermissionConfig._parseMatrix(formData.object);
+        await setSetting(SETTINGS_KEYS.PERMISSIONS, matrix);
+        log("info", "Permissions saved", matrix);
+    }
+}
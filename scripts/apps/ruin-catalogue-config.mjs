@@ -0,0 +1,126 @@
+import { MODULE_ID, SETTINGS_KEYS } from "../constants.mjs";
+import { setSetting } from "../settings.mjs";
+import { FatePointManager } from "../fate-point-manager.mjs";
+import { log } from "../utils.mjs";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * GM form for editing the catalogue of Ruin expenditures
+ */
+export class RuinCatalogueConfig extends HandlebarsApplicationMixin(ApplicationV2) {
+
+    static DEFAULT_OPTIONS = {
+        tag: "form",
+        classes: [MODULE_ID, "impmal-ruin-catalogue"],
+        window: {
+            title: "IMPMAL_SHARED_FATE.RuinCatalogue.Title",
+            icon: "fas fa-skull",
+            resizable: true
+        },
+        position: {
+            width: 640,
+            height: "auto"
+        },
+        form: {
+            handler: RuinCatalogueConfig._onSubmit,
+            closeOnSubmit: true
+        },
+        actions: {
+            addEntry: RuinCatalogueConfig._onAddEntry,
+            deleteEntry: RuinCatalogueConfig._onDeleteEntry
+        }
+    };
+
+    static PARTS = {
+        catalogue: {
+            template: `modules/${MODULE_ID}/templates/ruin-catalogue-config.hbs`,
+            scrollable: [".ruin-catalogue-entries"]
+        }
+    };
+
+    /**
+     * The entries being edited, including unsaved changes
+     * @type {object[]|null}
+     * @private
+     */
+    _entries = null;
+
+    /** @override */
+    async _prepareContext(options) {
+        this._entries ??= FatePointManager.getRuinCatalogue();
+
+        return {
+            entries: this._entries.map(entry => ({
+                ...entry,
+                name: game.i18n.localize(entry.name),
+                description: game.i18n.localize(entry.description)
+            }))
+        };
+    }
+
+    /**
+     * Read the entries currently shown in the form
+     * @returns {object[]} The entries
+     * @private
+     */
+    _readForm() {
+        const FormData = foundry.applications.ux?.FormDataExtended ?? globalThis.FormDataExtended;
+        return RuinCatalogueConfig._parseEntries(new FormData(this.element).object);
+    }
+
+    /**
+     * Convert flat form data into catalogue entries
+     * @param {object} data - The flat form data
+     * @returns {object[]} The entries, without unnamed rows
+     * @private
+     */
+    static _parseEntries(data) {
+        const { entries = {} } = foundry.utils.expandObject(data);
+        return Object.values(entries).map(entry => ({
+            id: entry.id || foundry.utils.randomID(),
+            name: String(entry.name ?? "").trim(),
+            cost: Math.max(1, Math.floor(Number(entry.cost) || 1)),
+            description: String(entry.description ?? "").trim(),
+            macro: String(entry.macro ?? "").trim()
+        }));
+    }
+
+    /**
+     * Add an empty entry
+     * @this {RuinCatalogueConfig}
+     * @private
+     */
+    static _onAddEntry() {
+        this._entries = this._readForm();
+        this._entries.push({ id: foundry.utils.randomID(), name: "", cost: 1, description: "", macro: "" });
+        this.render();
+    }
+
+    /**
+     * Delete an entry
+     * @this {RuinCatalogueConfig}
+     * @param {PointerEvent} event - The click event
+     * @param {HTMLElement} target - The clicked button
+     * @private
+     */
+    static _onDeleteEntry(event, target) {
+        const { entryId } = target.closest("[data-entry-id]").dataset;
+        this._entries = this._readForm().filter(entry => entry.id !== entryId);
+        this.render();
+    }
+
+    /**
+     * Save the catalogue
+     * @this {RuinCatalogueConfig}
+     * @param {SubmitEvent} event - The submit event
+     * @param {HTMLFormElement} form - The form
+     * @param {FormDataExtended} formData - The submitted data
+     * @private
+     */
+    static async _onSubmit(event, form, formData) {
+        const entries = RuinCatalogueConfig._parseEntries(formData.object).filter(entry => entry.name);
+        await setSetting(SETTINGS_KEYS.RUIN_CATALOGUE, entries);
+        log("info", "Ruin catalogue saved", { count: entries.length });
+    }
+}
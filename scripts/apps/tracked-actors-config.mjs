@@ -0,0 +1,145 @@
+import { MODULE_ID, SETTINGS_KEYS } from "../constants.mjs";
+import { setSetting } from "../settings.mjs";
+import { FatePointManager } from "../fate-point-manager.mjs";
+import { log } from "../utils.mjs";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * GM form for choosing which actor types have Fate, and where each keeps it
+ */
+export class TrackedActorsConfig extends HandlebarsApplicationMixin(ApplicationV2) {
+
+    static DEFAULT_OPTIONS = {
+        tag: "form",
+        classes: [MODULE_ID, "impmal-tracked-actors"],
+        window: {
+            title: "IMPMAL_SHARED_FATE.TrackedActors.Title",
+            icon: "fas fa-users-gear",
+            resizable: true
+        },
+        position: {
+            width: 640,
+            height: "auto"
+        },
+        form: {
+            handler: TrackedActorsConfig._onSubmit,
+            closeOnSubmit: true
+        },
+        actions: {
+            addEntry: TrackedActorsConfig._onAddEntry,
+            deleteEntry: TrackedActorsConfig._onDeleteEntry
+        }
+    };
+
+    static PARTS = {
+        entries: {
+            template: `modules/${MODULE_ID}/templates/tracked-actors-config.hbs`,
+            scrollable: [".tracked-actors-entries"]
+        }
+    };
+
+    /**
+     * The entries being edited, including unsaved changes
+     * @type {object[]|null}
+     * @private
+     */
+    _entries = null;
+
+    /** @override */
+    async _prepareContext(options) {
+        this._entries ??= FatePointManager.getTrackedActorTypes();
+
+        return {
+            types: TrackedActorsConfig._getActorTypes(),
+            entries: this._entries.map(entry => ({
+                ...entry,
+                locked: entry.type === "character"
+            }))
+        };
+    }
+
+    /**
+     * Get the system's actor types, for the type selects
+     * @returns {Record<string, string>} Localized labels keyed by actor type
+     * @private
+     */
+    static _getActorTypes() {
+        const types = game.documentTypes?.Actor ?? Object.keys(CONFIG.Actor.dataModels ?? {});
+        return Object.fromEntries(types
+            .filter(type => type !== CONST.BASE_DOCUMENT_TYPE)
+            .map(type => [type, game.i18n.localize(CONFIG.Actor.typeLabels?.[type] ?? type)]));
+    }
+
+    /**
+     * Read the entries currently shown in the form
+     * @returns {object[]} The entries
+     * @private
+     */
+    _readForm() {
+        const FormData = foundry.applications.ux?.FormDataExtended ?? globalThis.FormDataExtended;
+        return TrackedActorsConfig._parseEntries(new FormData(this.element).object);
+    }
+
+    /**
+     * Convert flat form data into tracked actor types
+     * @param {object} data - The flat form data
+     * @returns {object[]} The entries
+     * @private
+     */
+    static _parseEntries(data) {
+        const { entries = {} } = foundry.utils.expandObject(data);
+        return Object.values(entries).map(entry => ({
+            type: String(entry.type ?? "").trim(),
+            label: String(entry.label ?? "").trim(),
+            value: String(entry.value ?? "").trim(),
+            max: String(entry.max ?? "").trim()
+        }));
+    }
+
+    /**
+     * Add an entry for the first actor type not yet tracked
+     * @this {TrackedActorsConfig}
+     * @private
+     */
+    static _onAddEntry() {
+        this._entries = this._readForm();
+        const used = new Set(this._entries.map(entry => entry.type));
+        const type = Object.keys(TrackedActorsConfig._getActorTypes()).find(type => !used.has(type)) ?? "";
+        this._entries.push({ type, label: "", value: "system.fate.value", max: "system.fate.max" });
+        this.render();
+    }
+
+    /**
+     * Delete an entry; player characters can't be deleted
+     * @this {TrackedActorsConfig}
+     * @param {PointerEvent} event - The click event
+     * @param {HTMLElement} target - The clicked button
+     * @private
+     */
+    static _onDeleteEntry(event, target) {
+        const index = Number(target.closest("[data-index]").dataset.index);
+        this._entries = this._readForm().filter((entry, i) => i !== index || entry.type === "character");
+        this.render();
+    }
+
+    /**
+     * Save the tracked actor types
+     * Entries without both data paths are dropped, as is any second entry for the same type
+     * @this {TrackedActorsConfig}
+     * @param {SubmitEvent} event - The submit event
+     * @param {HTMLFormElement} form - The form
+     * @param {FormDataExtended} formData - The submitted data
+     * @private
+     */
+    static async _onSubmit(event, form, formData) {
+        const types = new Set();
+        const entries = TrackedActorsConfig._parseEntries(formData.object).filter(entry => {
+            if (!entry.type || !entry.value || !entry.max || types.has(entry.type)) return false;
+            types.add(entry.type);
+            return true;
+        });
+        await setSetting(SETTINGS_KEYS.TRACKED_ACTORS, entries);
+        log("info", "Tracked actor types saved", { types: [...types] });
+    }
+}
@@ -1,5 +1,6 @@
 export const MODULE_ID = "impmal-shared-fate";
 export const LOCALIZE_KEY = "IMPMAL_SHARED_FATE";
+export const SOCKET_NAME = `module.${MODULE_ID}`;
 
 export const SETTINGS_KEYS = {
     SHOW_MAX_FATE: "showMaxFate",
@@ -7,9 +8,172 @@ export const SETTINGS_KEYS = {
     SHOW_CHAT_MESSAGES: "showChatMessages",
     LOG_LEVEL: "logLevel",
     GM_RUIN: "gmRuin",
-    GM_RUIN_MAX: "gmRuinMax"
+    GM_RUIN_MAX: "gmRuinMax",
+    GM_RUIN_POOLS: "gmRuinPools",
+    SEPARATE_RUIN_POOLS: "separateRuinPools",
+    RUIN_DISPLAY: "ruinDisplay",
+    LEDGER: "ledger",
+    LEDGER_MAX_ENTRIES: "ledgerMaxEntries",
+    RUIN_CATALOGUE: "ruinCatalogue",
+    RUIN_ON_FATE_SPENT: "ruinOnFateSpent",
+    RUIN_ON_FUMBLE: "ruinOnFumble",
+    RUIN_ON_DOUBLES: "ruinOnDoubles",
+    RUIN_ON_ROUND_START: "ruinOnRoundStart",
+    SESSION_NUMBER: "sessionNumber",
+    SESSION_RUIN_START: "sessionRuinStart",
+    SHOW_TRACKER: "showTracker",
+    TRACKER_POSITION: "trackerPosition",
+    FATE_MODE: "fateMode",
+    PARTY_FATE: "partyFate",
+    PARTY_FATE_MAX: "partyFateMax",
+    PERMISSIONS: "permissions",
+    RUIN_VISIBILITY: "ruinVisibility",
+    CHAT_SPENT: "chatSpent",
+    CHAT_GAINED: "chatGained",
+    CHAT_LOST: "chatLost",
+    CHAT_RUIN: "chatRuin",
+    TRACKED_ACTORS: "trackedActors",
+    DISPLAY_STYLE: "displayStyle"
 };
 
+// Icon shown for Fate in the player list and on chat cards
+export const FATE_ICON = "icons/magic/holy/angel-winged-humanoid-blue.webp";
+
+// Actor types whose Fate-like resource the module tracks, and where each keeps it
+// Player characters are always tracked; only their data paths can be changed
+export const DEFAULT_TRACKED_ACTORS = [
+    { type: "character", label: "", value: "system.fate.value", max: "system.fate.max" }
+];
+
+// How the displays show a pool: a number, one icon per point, or a segmented bar
+export const DISPLAY_STYLES = {
+    NUMBER: "number",
+    PIPS: "pips",
+    BAR: "bar"
+};
+
+// Most pips a display or chat card shows; larger pools are compacted so each pip stands for several points
+export const MAX_PIPS = 10;
+
+// Where players' Fate comes from
+export const FATE_MODES = {
+    CHARACTER: "character",
+    PARTY: "party",
+    HYBRID: "hybrid"
+};
+
+// How much of the Ruin pool players without the Manage Ruin permission see
+export const RUIN_VISIBILITY = {
+    EXACT: "exact",
+    VAGUE: "vague",
+    GM: "gm"
+};
+
+// Where the player list shows Ruin: on the primary GM's row, or in a row of its own
+export const RUIN_DISPLAY = {
+    GM: "gm",
+    ROW: "row"
+};
+
+// Kinds of Fate/Ruin chat cards, each with its own audience setting
+export const CHAT_CATEGORIES = {
+    SPENT: "spent",
+    GAINED: "gained",
+    LOST: "lost",
+    RUIN: "ruin"
+};
+
+// The setting holding each chat card category's audience
+export const CHAT_AUDIENCE_SETTINGS = {
+    [CHAT_CATEGORIES.SPENT]: SETTINGS_KEYS.CHAT_SPENT,
+    [CHAT_CATEGORIES.GAINED]: SETTINGS_KEYS.CHAT_GAINED,
+    [CHAT_CATEGORIES.LOST]: SETTINGS_KEYS.CHAT_LOST,
+    [CHAT_CATEGORIES.RUIN]: SETTINGS_KEYS.CHAT_RUIN
+};
+
+// Who receives a chat card
+export const CHAT_AUDIENCES = {
+    PUBLIC: "public",
+    GM: "gm",
+    SELF: "self",
+    NONE: "none"
+};
+
+// Vague Ruin tiers, from an empty to a full pool
+export const RUIN_TIERS = ["low", "rising", "dire"];
+
+export const FATE_USES = {
+    REROLL: "reroll",
+    ADD_SL: "addSL",
+    AVOID_DEATH: "avoidDeath",
+    OTHER: "other"
+};
+
+// Actions that can be granted per role or per user
+export const PERMISSIONS = {
+    SPEND_OWN_FATE: "spendOwnFate",
+    SPEND_OTHER_FATE: "spendOtherFate",
+    ADD_FATE: "addFate",
+    REMOVE_FATE: "removeFate",
+    SEE_OTHER_FATE: "seeOtherFate",
+    SEE_RUIN: "seeRuin",
+    MANAGE_RUIN: "manageRuin"
+};
+
+// Permissions each role has until the GM changes them, keyed by CONST.USER_ROLES
+// Gamemasters always have every permission
+export const DEFAULT_ROLE_PERMISSIONS = {
+    1: { spendOwnFate: true, spendOtherFate: false, addFate: false, removeFate: false, seeOtherFate: true, seeRuin: true, manageRuin: false },
+    2: { spendOwnFate: true, spendOtherFate: false, addFate: false, removeFate: false, seeOtherFate: true, seeRuin: true, manageRuin: false },
+    3: { spendOwnFate: true, spendOtherFate: true, addFate: true, removeFate: true, seeOtherFate: true, seeRuin: true, manageRuin: true }
+};
+
+// Hooks called around Fate and Ruin changes; pre-hooks cancel the operation by returning false
+export const HOOKS = {
+    PRE_USE_FATE: "impmalSharedFate.preUseFate",
+    USE_FATE: "impmalSharedFate.useFate",
+    PRE_BURN_FATE: "impmalSharedFate.preBurnFate",
+    BURN_FATE: "impmalSharedFate.burnFate",
+    PRE_CHANGE_FATE: "impmalSharedFate.preChangeFate",
+    FATE_CHANGED: "impmalSharedFate.fateChanged",
+    PRE_CHANGE_RUIN: "impmalSharedFate.preChangeRuin",
+    RUIN_CHANGED: "impmalSharedFate.ruinChanged",
+    PRE_START_SESSION: "impmalSharedFate.preStartSession",
+    START_SESSION: "impmalSharedFate.startSession"
+};
+
+// Names and descriptions are localization keys until the GM edits them
+export const DEFAULT_RUIN_CATALOGUE = [
+    {
+        id: "complication",
+        name: "IMPMAL_SHARED_FATE.RuinCatalogue.Defaults.Complication.Name",
+        cost: 1,
+        description: "IMPMAL_SHARED_FATE.RuinCatalogue.Defaults.Complication.Description",
+        macro: ""
+    },
+    {
+        id: "hostileReroll",
+        name: "IMPMAL_SHARED_FATE.RuinCatalogue.Defaults.HostileReroll.Name",
+        cost: 1,
+        description: "IMPMAL_SHARED_FATE.RuinCatalogue.Defaults.HostileReroll.Description",
+        macro: ""
+    },
+    {
+        id: "reinforcements",
+        name: "IMPMAL_SHARED_FATE.RuinCatalogue.Defaults.Reinforcements.Name",
+        cost: 2,
+        description: "IMPMAL_SHARED_FATE.RuinCatalogue.Defaults.Reinforcements.Description",
+        macro: ""
+    },
+    {
+        id: "direTwist",
+        name: "IMPMAL_SHARED_FATE.RuinCatalogue.Defaults.DireTwist.Name",
+        cost: 3,
+        description: "IMPMAL_SHARED_FATE.RuinCatalogue.Defaults.DireTwist.Description",
+        macro: ""
+    }
+];
+
 export const LOG_LEVELS = {
     NONE: 0,
     ERROR: 1,
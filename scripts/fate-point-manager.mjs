@@ -1,17 +1,89 @@
-import { MODULE_ID, SETTINGS_KEYS } from "./constants.mjs";
+import {
+    MODULE_ID, SETTINGS_KEYS, FATE_USES, FATE_MODES, HOOKS, PERMISSIONS, RUIN_VISIBILITY, RUIN_TIERS,
+    CHAT_CATEGORIES, CHAT_AUDIENCES, CHAT_AUDIENCE_SETTINGS, FATE_ICON, DEFAULT_TRACKED_ACTORS, MAX_PIPS
+} from "./constants.mjs";
 import { getSetting, setSetting } from "./settings.mjs";
-import { log, notify, format } from "./utils.mjs";
+import { SocketHandler } from "./socket-handler.mjs";
+import { Ledger } from "./ledger.mjs";
+import { Permissions } from "./permissions.mjs";
+import { UIHandler } from "./ui-handler.mjs";
+import { log, notify, localize, format, renderTemplate } from "./utils.mjs";
+
+/**
+ * Something that identifies a character: the actor itself, a token of it, a user (meaning their
+ * main character), or the ID or UUID of an actor or user
+ * @typedef {Actor|TokenDocument|Token|User|string} FateTarget
+ */
+
+/**
+ * An actor type whose Fate-like resource is tracked
+ * @typedef {object} TrackedActorType
+ * @property {string} type - The actor type
+ * @property {string} label - What the resource is called, or empty for "Fate"
+ * @property {string} value - The data path of the current value
+ * @property {string} max - The data path of the maximum
+ */
+
+/**
+ * The outcome of a Fate or Ruin change
+ * @typedef {object} ChangeResult
+ * @property {boolean} success - Whether the change was applied
+ * @property {number|null} oldValue - The value before the change, or null if there was no target
+ * @property {number|null} newValue - The value after the change; equal to oldValue when it failed
+ * @property {string|null} reason - The ledger reason of the change ("used", "added", "removed", "set", "burned", "max" or "refunded")
+ * @property {number} [oldMax] - The maximum before the change, for changes to a character's maximum
+ * @property {number} [newMax] - The maximum after the change, for changes to a character's maximum
+ * @property {string} [error] - The notification key describing why it failed
+ */
+
+/**
+ * Milliseconds a player waits for the GM to confirm burning Fate
+ * @type {number}
+ */
+const BURN_CONFIRM_TIMEOUT = 300000;
+
+/**
+ * Milliseconds cut from the GM's window to confirm a burn, so a burn is never applied after the
+ * player stopped waiting: their wait starts when the request is sent, before it reaches the GM,
+ * and the burn still has to be written once confirmed
+ * @type {number}
+ */
+const BURN_CONFIRM_MARGIN = 30000;
 
 /**
  * Manages fate point operations and syncing between character sheets and the UI
  * Also manages GM Ruin points which are independent from any character
  */
 export class FatePointManager {
-    
+
+    /**
+     * Changes waiting for or being written to each target on this client
+     * @type {Map<string, Promise>}
+     * @private
+     */
+    static _locks = new Map();
+
+    /**
+     * Spends made on a roll that can be given back if the roll can't then be updated, keyed by roll message ID
+     * Kept on the client that wrote the spend
+     * @type {Map<string, {target: string, amount: number, userId: string}>}
+     * @private
+     */
+    static _refunds = new Map();
+
     /**
      * Initialize the fate point manager
      */
     static initialize() {
+        SocketHandler.registerHandler("useFate", (payload, requester) => this._handleUseFateRequest(payload, requester));
+        SocketHandler.registerHandler("usePartyFate", (payload, requester) => this._handleUsePartyFateRequest(payload, requester));
+        SocketHandler.registerHandler("changeFate", (payload, requester) => this._handleChangeFateRequest(payload, requester));
+        SocketHandler.registerHandler("burnFate", (payload, requester) => this._handleBurnFateRequest(payload, requester));
+        SocketHandler.registerHandler("changeFateMax", (payload, requester) => this._handleChangeFateMaxRequest(payload, requester));
+        SocketHandler.registerHandler("changePartyFate", (payload, requester) => this._handleChangePartyFateRequest(payload, requester));
+        SocketHandler.registerHandler("changeRuin", (payload, requester) => this._handleChangeRuinRequest(payload, requester));
+        SocketHandler.registerHandler("refundFate", (payload, requester) => this._handleRefundFateRequest(payload, requester));
+        SocketHandler.registerHandler("startSession", (payload, requester) => this._handleStartSessionRequest(payload, requester));
         log("info", "FatePointManager initialized");
     }
 
@@ -25,341 +97,1818 @@ export class FatePointManager {
     }
 
     /**
-     * Get the character actor assigned to a user (non-GM only)
+     * Get the actor types whose Fate is tracked
+     * Player characters are always among them
+     * @returns {TrackedActorType[]} The tracked actor types
+     */
+    static getTrackedActorTypes() {
+        const tracked = foundry.utils.deepClone(getSetting(SETTINGS_KEYS.TRACKED_ACTORS) ?? []);
+        if (!tracked.some(entry => entry.type === "character")) {
+            tracked.unshift(...foundry.utils.deepClone(DEFAULT_TRACKED_ACTORS));
+        }
+        return tracked;
+    }
+
+    /**
+     * Get where an actor keeps its Fate
+     * @param {Actor} actor - The actor
+     * @returns {TrackedActorType|null} The tracking of the actor's type, or null if it isn't tracked
+     */
+    static getFateConfig(actor) {
+        if (!actor) return null;
+        return this.getTrackedActorTypes().find(entry => entry.type === actor.type) ?? null;
+    }
+
+    /**
+     * Get what an actor's Fate is called
+     * @param {Actor} actor - The actor
+     * @returns {string} The label of the actor's type, or "Fate"
+     */
+    static getFateLabel(actor) {
+        return this.getFateConfig(actor)?.label || localize("Ledger.Types.fate");
+    }
+
+    /**
+     * Get the main character actor for a user (non-GM only)
      * @param {User} user - The user to get the character for
      * @returns {Actor|null} The character actor or null
      */
     static getPlayerCharacter(user) {
-        if (!user) return null;
+        return this.getPlayerCharacters(user)[0] ?? null;
+    }
+
+    /**
+     * Get every character actor belonging to a user (non-GM only)
+     * The directly assigned character comes first, followed by any other characters the user owns
+     * @param {User} user - The user to get the characters for
+     * @returns {Actor[]} The character actors
+     */
+    static getPlayerCharacters(user) {
+        if (!user) return [];
         
         // GMs don't have linked characters for this module
-        if (this.isGM(user)) return null;
+        if (this.isGM(user)) return [];
         
+        const characters = [];
+
         // First check if user has a directly assigned character
-        if (user.character && user.character.type === "character") {
-            return user.character;
+        if (user.character && this.getFateConfig(user.character)) {
+            characters.push(user.character);
         }
 
-        // Fallback: find a character this user owns
-        const ownedCharacter = game.actors.find(a => 
-            a.type === "character" && 
-            a.hasPlayerOwner && 
-            a.testUserPermission(user, "OWNER")
-        );
+        // Then add every other character this user owns
+        for (const actor of game.actors) {
+            if (!this.getFateConfig(actor) || !actor.hasPlayerOwner) continue;
+            if (characters.includes(actor) || !actor.testUserPermission(user, "OWNER")) continue;
+            characters.push(actor);
+        }
 
-        return ownedCharacter || null;
+        return characters;
     }
 
     /**
-     * Get fate points for a user's character (players only)
-     * @param {User} user - The user to get fate points for
+     * Resolve a fate target to a character actor
+     * @param {FateTarget} target - The character, a token of it, a user whose main character is meant, or an ID or UUID of either
+     * @returns {Actor|null} The character actor or null
+     */
+    static resolveCharacter(target) {
+        if (typeof target === "string") {
+            target = game.actors.get(target) ?? game.users.get(target) ?? fromUuidSync(target, { strict: false });
+        }
+        // Placeable tokens wrap their document
+        if (target?.document instanceof TokenDocument) target = target.document;
+        if (target instanceof TokenDocument) target = target.actor;
+
+        if (target instanceof Actor) return this.getFateConfig(target) ? target : null;
+        if (target instanceof User) return this.getPlayerCharacter(target);
+        return null;
+    }
+
+    /**
+     * Check if a character belongs to a user, either by assignment or by ownership
+     * @param {Actor} actor - The character actor
+     * @param {User} user - The user
+     * @returns {boolean} Whether it is one of the user's own characters
+     */
+    static isOwnCharacter(actor, user) {
+        return user.character?.id === actor.id || actor.testUserPermission(user, "OWNER");
+    }
+
+    /**
+     * Get fate points for a character or a tracked NPC
+     * @param {FateTarget} target - The character, or the user whose main character is meant
      * @returns {{current: number, max: number}|null} Fate point data or null
      */
-    static getFatePoints(user) {
-        // GMs use Ruin, not Fate
-        if (this.isGM(user)) return null;
-        
-        const character = this.getPlayerCharacter(user);
+    static getFatePoints(target) {
+        const character = this.resolveCharacter(target);
         if (!character) return null;
 
-        const fate = character.system?.fate;
-        if (!fate) return null;
+        const { value, max } = this.getFateConfig(character);
+        const current = foundry.utils.getProperty(character, value);
+        if (current === undefined) return null;
+
+        return {
+            current: Number(current) || 0,
+            max: Number(foundry.utils.getProperty(character, max)) || 0
+        };
+    }
+
+    /**
+     * Get the tracked actors no player owns, such as named NPCs and Patrons
+     * Only actors with a Fate pool are included
+     * @returns {Actor[]} The actors, sorted by name
+     */
+    static getTrackedNPCs() {
+        return game.actors
+            .filter(actor => !actor.hasPlayerOwner && (this.getFatePoints(actor)?.max ?? 0) > 0)
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Build the update that sets an actor's Fate
+     * @param {Actor} actor - The actor
+     * @param {number} value - The new Fate value
+     * @returns {object} The update data
+     */
+    static getFateUpdate(actor, value) {
+        return { [this.getFateConfig(actor).value]: value };
+    }
+
+    /**
+     * Build the update that sets an actor's maximum Fate
+     * @param {Actor} actor - The actor
+     * @param {number} max - The new maximum
+     * @returns {object} The update data
+     */
+    static getFateMaxUpdate(actor, max) {
+        return { [this.getFateConfig(actor).max]: max };
+    }
+
+    /**
+     * Get Ruin points for GM
+     * @param {string|null} [pool] - The GM whose pool is meant when each GM has their own; defaults to this user's pool
+     * @returns {{current: number, max: number}} Ruin point data
+     */
+    static getRuinPoints(pool = this.getRuinPoolId()) {
+        const current = pool && this.usesSeparateRuinPools()
+            ? getSetting(SETTINGS_KEYS.GM_RUIN_POOLS)?.[pool]
+            : getSetting(SETTINGS_KEYS.GM_RUIN);
+
+        return {
+            current: current ?? 0,
+            max: getSetting(SETTINGS_KEYS.GM_RUIN_MAX) ?? 5
+        };
+    }
+
+    /**
+     * Check if each GM holds their own Ruin pool
+     * @returns {boolean} Whether Ruin is kept per GM
+     */
+    static usesSeparateRuinPools() {
+        return !!getSetting(SETTINGS_KEYS.SEPARATE_RUIN_POOLS);
+    }
+
+    /**
+     * Get the Ruin pool a user spends and adjusts by default
+     * GMs use their own pool; everyone else uses the active GM's
+     * @param {User} [user=game.user] - The user
+     * @returns {string|null} The ID of the GM holding the pool, or null for the shared pool
+     */
+    static getRuinPoolId(user = game.user) {
+        if (!this.usesSeparateRuinPools()) return null;
+
+        const gm = this.isGM(user) ? user : (game.users.activeGM ?? game.users.find(other => this.isGM(other)));
+        return gm?.id ?? null;
+    }
+
+    /**
+     * Get every Ruin pool in the world
+     * @returns {{id: string|null, name: string}[]} The pools: the shared pool, or one per GM
+     */
+    static getRuinPools() {
+        if (!this.usesSeparateRuinPools()) return [{ id: null, name: this.getRuinPoolName(null) }];
+
+        return game.users
+            .filter(user => this.isGM(user))
+            .map(user => ({ id: user.id, name: this.getRuinPoolName(user.id) }));
+    }
+
+    /**
+     * Get the display name of a Ruin pool
+     * @param {string|null} pool - The ID of the GM holding the pool, or null for the shared pool
+     * @returns {string} The pool name
+     */
+    static getRuinPoolName(pool) {
+        const gm = pool ? game.users.get(pool) : null;
+        return gm ? format("RuinPool", { name: gm.name }) : localize("RuinPoints");
+    }
+
+    /**
+     * Store a Ruin value in its world setting
+     * @param {string|null} pool - The ID of the GM holding the pool, or null for the shared pool
+     * @param {number} value - The new Ruin value
+     * @returns {Promise<void>}
+     */
+    static async storeRuin(pool, value) {
+        if (!pool || !this.usesSeparateRuinPools()) {
+            await setSetting(SETTINGS_KEYS.GM_RUIN, value);
+            return;
+        }
+
+        const pools = foundry.utils.deepClone(getSetting(SETTINGS_KEYS.GM_RUIN_POOLS) ?? {});
+        pools[pool] = value;
+        await setSetting(SETTINGS_KEYS.GM_RUIN_POOLS, pools);
+    }
+
+    /**
+     * Use Ruin point (requires the Manage Ruin permission)
+     * @param {number} [amount=1] - Amount of Ruin to use
+     * @param {object} [options] - Additional options
+     * @param {boolean} [options.chatMessage=true] - Whether to show a chat message
+     * @param {object} [options.expenditure] - The Ruin catalogue entry the points are spent on
+     * @param {string|null} [options.pool] - The GM whose pool to spend from when each GM has their own
+     * @returns {Promise<ChangeResult>} The result of the operation
+     */
+    static async useRuin(amount = 1, options = {}) {
+        const { expenditure = null, pool = this.getRuinPoolId() } = options;
+        const ruinData = this.getRuinPoints(pool);
+
+        if (!Permissions.has(game.user, PERMISSIONS.MANAGE_RUIN)) return this._fail("NoPermission", "used", ruinData.current);
+        if (!Number.isInteger(amount) || amount < 1) return this._fail("InvalidAmount", "used", ruinData.current);
+        if (ruinData.current < amount) return this._fail("InsufficientRuin", "used", ruinData.current);
+
+        const result = await this._changeRuin(ruinData, "used", { delta: -amount }, {
+            ...options,
+            pool,
+            detail: expenditure ? game.i18n.localize(expenditure.name) : null
+        });
+
+        if (result.success && expenditure?.macro) {
+            await this._executeRuinMacro(expenditure, result.newValue);
+        }
+
+        return result;
+    }
+
+    /**
+     * Get the GM's catalogue of Ruin expenditures
+     * @returns {{id: string, name: string, cost: number, description: string, macro: string}[]} The catalogue entries
+     */
+    static getRuinCatalogue() {
+        return foundry.utils.deepClone(getSetting(SETTINGS_KEYS.RUIN_CATALOGUE) ?? []);
+    }
+
+    /**
+     * Run the macro attached to a Ruin expenditure
+     * @param {object} expenditure - The catalogue entry
+     * @param {number} remaining - Ruin left in the pool after spending
+     * @private
+     */
+    static async _executeRuinMacro(expenditure, remaining) {
+        try {
+            const macro = await fromUuid(expenditure.macro);
+            if (!macro) {
+                log("warn", "Ruin expenditure macro not found", { macro: expenditure.macro });
+                return;
+            }
+
+            await macro.execute({ expenditure, remaining });
+        } catch (error) {
+            log("error", "Ruin expenditure macro failed", error);
+        }
+    }
+
+    /**
+     * Add Ruin points (requires the Manage Ruin permission)
+     * @param {number} [amount=1] - Amount of Ruin to add
+     * @param {object} [options] - Additional options
+     * @param {boolean} [options.chatMessage=true] - Whether to show a chat message
+     * @param {string} [options.detail] - Why the Ruin was gained, shown in chat and the ledger
+     * @param {string|null} [options.pool] - The GM whose pool to add to when each GM has their own
+     * @returns {Promise<ChangeResult>} The result of the operation
+     */
+    static async addRuin(amount = 1, options = {}) {
+        const { pool = this.getRuinPoolId() } = options;
+        const ruinData = this.getRuinPoints(pool);
+
+        if (!Permissions.has(game.user, PERMISSIONS.MANAGE_RUIN)) return this._fail("NoPermission", "added", ruinData.current);
+        if (!Number.isInteger(amount) || amount < 1) return this._fail("InvalidAmount", "added", ruinData.current);
+
+        return this._changeRuin(ruinData, "added", { delta: amount }, { ...options, pool });
+    }
+
+    /**
+     * Remove Ruin points (requires the Manage Ruin permission)
+     * @param {number} [amount=1] - Amount of Ruin to remove
+     * @param {object} [options] - Additional options
+     * @param {boolean} [options.chatMessage=true] - Whether to show a chat message
+     * @param {string|null} [options.pool] - The GM whose pool to remove from when each GM has their own
+     * @returns {Promise<ChangeResult>} The result of the operation
+     */
+    static async removeRuin(amount = 1, options = {}) {
+        const { pool = this.getRuinPoolId() } = options;
+        const ruinData = this.getRuinPoints(pool);
+
+        if (!Permissions.has(game.user, PERMISSIONS.MANAGE_RUIN)) return this._fail("NoPermission", "removed", ruinData.current);
+        if (!Number.isInteger(amount) || amount < 1) return this._fail("InvalidAmount", "removed", ruinData.current);
+
+        return this._changeRuin(ruinData, "removed", { delta: -amount }, { ...options, pool });
+    }
+
+    /**
+     * Set the Ruin pool to an exact value (requires the Manage Ruin permission)
+     * @param {number} value - The new Ruin value, clamped between 0 and the maximum
+     * @param {object} [options] - Additional options
+     * @param {boolean} [options.chatMessage=true] - Whether to show a chat message
+     * @param {string} [options.detail] - Why the Ruin was set, shown in chat and the ledger
+     * @param {string|null} [options.pool] - The GM whose pool to set when each GM has their own
+     * @returns {Promise<ChangeResult>} The result of the operation
+     */
+    static async setRuin(value, options = {}) {
+        const { pool = this.getRuinPoolId() } = options;
+        const ruinData = this.getRuinPoints(pool);
+
+        if (!Permissions.has(game.user, PERMISSIONS.MANAGE_RUIN)) return this._fail("NoPermission", "set", ruinData.current);
+        if (!Number.isInteger(value)) return this._fail("InvalidAmount", "set", ruinData.current);
+
+        return this._changeRuin(ruinData, "set", { value }, { ...options, pool });
+    }
+
+    /**
+     * Change the Ruin pool, relaying the change to the active GM unless this client is the active GM
+     * Relaying every other client's change, assistant GMs included, means one client writes the pool.
+     * Differences are sent as asked for and clamped by the GM against the live value, since this
+     * client's value may be out of date; an exact value is refused if the pool changed since it was read
+     * @param {{current: number, max: number}} ruinData - The Ruin pool as this client sees it
+     * @param {"used"|"added"|"removed"|"set"} reason - Why the Ruin changed
+     * @param {{value?: number, delta?: number}} change - The new value when setting it, otherwise the difference
+     * @param {object} [options] - Additional options
+     * @param {boolean} [options.chatMessage=true] - Whether to show a chat message
+     * @param {object} [options.expenditure] - The Ruin catalogue entry the points were spent on
+     * @param {string} [options.detail] - Why the Ruin changed, shown in chat and the ledger
+     * @param {string|null} [options.pool=null] - The GM holding the pool, or null for the shared pool
+     * @returns {Promise<ChangeResult>} The result of the operation
+     * @private
+     */
+    static async _changeRuin(ruinData, reason, { value, delta = 0 }, options = {}) {
+        const { chatMessage = true, expenditure = null, detail = null, pool = null } = options;
+        const oldValue = ruinData.current;
+        const change = { value, delta, expected: oldValue };
+        const { newValue } = this._resolveChange(ruinData, reason, change);
+
+        // Setting the value it already has needs nothing written, recorded or announced
+        if (reason === "set" && newValue === oldValue) return { success: true, oldValue, newValue, reason };
+
+        if (Hooks.call(HOOKS.PRE_CHANGE_RUIN, game.user, { oldValue, newValue, reason, detail, expenditure, pool }) === false) {
+            return this._cancelled(reason, oldValue);
+        }
+
+        // Changes are sent as a difference, so one queued while no GM is connected still applies cleanly
+        if (!game.users.activeGM?.isSelf) {
+            const response = await SocketHandler.requestGM("changeRuin", {
+                pool,
+                ...change,
+                reason,
+                chatMessage,
+                expenditure,
+                detail
+            }, { queue: true });
+            if (!response.success) return this._failRelayed(response, reason, oldValue);
+            return { success: true, oldValue: response.oldValue, newValue: response.newValue, reason };
+        }
+
+        return this._writeRuin(pool, reason, change, { chatMessage, expenditure, detail });
+    }
+
+    /**
+     * Handle a relayed Ruin change on the active GM's client
+     * @param {object} payload - The request payload
+     * @param {string|null} payload.pool - The GM holding the pool, or null for the shared pool
+     * @param {number} payload.value - The new Ruin value, used when setting it
+     * @param {number} payload.delta - The change in Ruin, used for every other reason
+     * @param {number} [payload.expected] - The value the requester saw; a set is refused if it has since changed
+     * @param {string} payload.reason - Why the Ruin changed
+     * @param {boolean} payload.chatMessage - Whether to show a chat message
+     * @param {object} [payload.expenditure] - The Ruin catalogue entry the points were spent on
+     * @param {string} [payload.detail] - Why the Ruin changed
+     * @param {User} requester - The user who sent the request
+     * @returns {Promise<ChangeResult>} The result to send back
+     * @private
+     */
+    static async _handleChangeRuinRequest({ pool = null, value, delta, expected, reason, chatMessage, expenditure, detail }, requester) {
+        if (!Permissions.has(requester, PERMISSIONS.MANAGE_RUIN)) return { success: false, error: "NoPermission" };
+
+        const change = reason === "set" ? value : delta;
+        if (!["used", "added", "removed", "set"].includes(reason) || !Number.isInteger(change)) {
+            return { success: false, error: "InvalidAmount" };
+        }
+        if (reason === "used" && delta >= 0) return { success: false, error: "InvalidAmount" };
+        if (pool && !game.users.get(pool)?.isGM) return { success: false, error: "UpdateFailed" };
+
+        log("debug", "Applying relayed Ruin change", { requester: requester.name, pool, reason, delta, value });
+        return this._writeRuin(pool, reason, { value, delta, expected }, { chatMessage, expenditure, detail, user: requester });
+    }
+
+    /**
+     * Write a Ruin change, record it in the ledger and announce it
+     * Changes to the same pool are written one at a time, each against the pool's latest value
+     * @param {string|null} pool - The GM holding the pool, or null for the shared pool
+     * @param {"used"|"added"|"removed"|"set"} reason - Why the Ruin changed
+     * @param {{value?: number, delta?: number, expected?: number}} change - The change, as taken by _resolveChange
+     * @param {object} options - Additional options
+     * @param {boolean} options.chatMessage - Whether to show a chat message
+     * @param {object} [options.expenditure] - The Ruin catalogue entry the points were spent on
+     * @param {string} [options.detail] - Why the Ruin changed, shown in chat and the ledger
+     * @param {User} [options.user=game.user] - The user who made the change
+     * @returns {Promise<ChangeResult>} The result of the operation
+     * @private
+     */
+    static _writeRuin(pool, reason, change, { chatMessage, expenditure = null, detail = null, user = game.user }) {
+        return this._serialize(`ruin.${pool ?? "shared"}`, async () => {
+            const ruinData = this.getRuinPoints(pool);
+            const oldValue = ruinData.current;
+
+            if (reason === "used" && oldValue + change.delta < 0) return this._reject("InsufficientRuin", reason, oldValue, user);
+            const { newValue, error } = this._resolveChange(ruinData, reason, change);
+            if (error) return this._reject(error, reason, oldValue, user);
+            if (newValue === oldValue) return { success: true, oldValue, newValue, reason };
+
+            try {
+                await this.storeRuin(pool, newValue);
+                Hooks.callAll(HOOKS.RUIN_CHANGED, user, { oldValue, newValue, reason, detail, expenditure, pool });
+
+                log("info", `Ruin ${reason}`, { user: user.name, pool, oldValue, newValue, detail });
+
+                const operationId = foundry.utils.randomID();
+                await Ledger.record({
+                    type: "ruin",
+                    pool,
+                    oldValue,
+                    newValue,
+                    reason,
+                    userId: user.id,
+                    operationId,
+                    detail
+                });
+
+                if (chatMessage) {
+                    // Setting an exact value reads as an addition or removal in chat
+                    const action = reason === "set" ? (newValue > oldValue ? "added" : "removed") : reason;
+                    await this._sendRuinChatMessage(action, Math.abs(newValue - oldValue), newValue, ruinData.max, {
+                        user,
+                        pool,
+                        operationId,
+                        expenditure,
+                        detail: expenditure ? null : detail
+                    });
+                }
+
+                return { success: true, oldValue, newValue, reason };
+            } catch (error) {
+                log("error", `Failed to change Ruin (${reason})`, error);
+                return this._fail("UpdateFailed", reason, oldValue, "error");
+            }
+        });
+    }
+
+    /**
+     * Get where players' Fate comes from
+     * @returns {string} One of FATE_MODES
+     */
+    static getFateMode() {
+        return getSetting(SETTINGS_KEYS.FATE_MODE) ?? FATE_MODES.CHARACTER;
+    }
+
+    /**
+     * Check if character sheet Fate is in use (per-character or hybrid mode)
+     * @returns {boolean} Whether characters' own Fate is shown and spent
+     */
+    static usesCharacterFate() {
+        return this.getFateMode() !== FATE_MODES.PARTY;
+    }
+
+    /**
+     * Check if the shared party pool is in use (party or hybrid mode)
+     * @returns {boolean} Whether the party pool is shown and spent
+     */
+    static usesPartyFate() {
+        return this.getFateMode() !== FATE_MODES.CHARACTER;
+    }
+
+    /**
+     * Get the shared party Fate pool
+     * Without a configured maximum, the pool holds one point per player currently logged in
+     * @returns {{current: number, max: number}} Party Fate data
+     */
+    static getPartyFate() {
+        const configuredMax = getSetting(SETTINGS_KEYS.PARTY_FATE_MAX) ?? 0;
+        const max = configuredMax > 0
+            ? configuredMax
+            : game.users.filter(user => user.active && !this.isGM(user)).length;
+
+        return {
+            current: getSetting(SETTINGS_KEYS.PARTY_FATE) ?? 0,
+            max
+        };
+    }
+
+    /**
+     * Spend Fate from the party pool
+     * Every client but the active GM's has the spend applied by the active GM, so one client writes the pool
+     * @param {number} [amount=1] - Amount of fate to use
+     * @param {object} [options] - Additional options
+     * @param {string} [options.use] - What the fate was spent on, one of FATE_USES
+     * @param {string} [options.rollMessageId] - The chat message of the roll the fate applied to
+     * @returns {Promise<ChangeResult>} The result of the operation
+     */
+    static async usePartyFate(amount = 1, options = {}) {
+        const details = this._getSpendDetails(options);
+        const validation = this._validatePartyFateUse(amount, game.user);
+        if (validation.error) return this._fail(validation.error, "used", this.getPartyFate().current);
+
+        const { partyFate } = validation;
+        const hookData = {
+            oldValue: partyFate.current,
+            newValue: partyFate.current - amount,
+            amount,
+            reason: "used",
+            ...details
+        };
+
+        if (Hooks.call(HOOKS.PRE_USE_FATE, null, game.user, { ...hookData }) === false) {
+            return this._cancelled("used", partyFate.current);
+        }
+
+        let result;
+        if (!game.users.activeGM?.isSelf) {
+            const response = await SocketHandler.requestGM("usePartyFate", { amount, ...details });
+            if (!response.success) {
+                return this._fail(response.error ?? "UpdateFailed", "used", partyFate.current);
+            }
+            result = { success: true, oldValue: response.oldValue, newValue: response.newValue, reason: "used" };
+        } else {
+            result = await this._changePartyFate("used", { delta: -amount }, details);
+            if (!result.success) return result;
+        }
+
+        Hooks.callAll(HOOKS.USE_FATE, null, game.user, { ...hookData, oldValue: result.oldValue, newValue: result.newValue });
+        return result;
+    }
+
+    /**
+     * Handle a relayed party Fate spend on the active GM's client
+     * @param {object} payload - The request payload
+     * @param {number} payload.amount - Amount of fate to use
+     * @param {string} [payload.use] - What the fate was spent on
+     * @param {string} [payload.rollMessageId] - The chat message of the roll the fate applied to
+     * @param {User} requester - The user who sent the request
+     * @returns {Promise<ChangeResult>} The result to send back
+     * @private
+     */
+    static async _handleUsePartyFateRequest({ amount, ...options }, requester) {
+        // Validate against the requesting user's rights, not the GM's
+        const validation = this._validatePartyFateUse(amount, requester);
+        if (validation.error) return { success: false, error: validation.error };
+
+        log("debug", "Applying relayed party fate spend", { requester: requester.name, amount });
+        return this._changePartyFate("used", { delta: -amount }, {
+            ...this._getSpendDetails(options),
+            user: requester
+        });
+    }
+
+    /**
+     * Check whether a party Fate spend may go ahead
+     * @param {number} amount - Amount of fate to use
+     * @param {User} actingUser - The user performing the spend
+     * @returns {{partyFate?: {current: number, max: number}, error?: string}} The pool data, or an error notification key
+     * @private
+     */
+    static _validatePartyFateUse(amount, actingUser) {
+        if (!Number.isInteger(amount) || amount < 1) return { error: "InvalidAmount" };
+        if (!this.usesPartyFate()) return { error: "PartyFateDisabled" };
+        if (!this._canUsePartyFate(actingUser)) return { error: "CannotUseFate" };
+
+        const partyFate = this.getPartyFate();
+        if (partyFate.current < amount) return { error: "InsufficientFate" };
+
+        return { partyFate };
+    }
+
+    /**
+     * Add Fate to the party pool (requires the Add Fate permission)
+     * @param {number} [amount=1] - Amount of fate to add
+     * @param {object} [options] - Additional options
+     * @param {boolean} [options.chatMessage=true] - Whether to show a chat message
+     * @returns {Promise<ChangeResult>} The result of the operation
+     */
+    static async addPartyFate(amount = 1, options = {}) {
+        if (!Number.isInteger(amount) || amount < 1) return this._fail("InvalidAmount", "added", this.getPartyFate().current);
+
+        return this._adjustPartyFate("added", { delta: amount }, options);
+    }
+
+    /**
+     * Remove Fate from the party pool (requires the Remove Fate permission)
+     * @param {number} [amount=1] - Amount of fate to remove
+     * @param {object} [options] - Additional options
+     * @param {boolean} [options.chatMessage=true] - Whether to show a chat message
+     * @returns {Promise<ChangeResult>} The result of the operation
+     */
+    static async removePartyFate(amount = 1, options = {}) {
+        if (!Number.isInteger(amount) || amount < 1) return this._fail("InvalidAmount", "removed", this.getPartyFate().current);
+
+        return this._adjustPartyFate("removed", { delta: -amount }, options);
+    }
+
+    /**
+     * Set the party pool to an exact value (requires the Add or Remove Fate permission, depending on direction)
+     * @param {number} value - The new value, clamped between 0 and the pool's maximum
+     * @param {object} [options] - Additional options
+     * @param {boolean} [options.chatMessage=true] - Whether to show a chat message
+     * @returns {Promise<ChangeResult>} The result of the operation
+     */
+    static async setPartyFate(value, options = {}) {
+        if (!Number.isInteger(value)) return this._fail("InvalidAmount", "set", this.getPartyFate().current);
+
+        return this._adjustPartyFate("set", { value }, options);
+    }
+
+    /**
+     * Apply an adjustment to the party pool
+     * Every client but the active GM's has the adjustment applied by the active GM, so one client writes the pool.
+     * Differences are clamped by the GM against the live value, since this client's value may be out of date
+     * @param {"added"|"removed"|"set"} reason - Why the pool changed
+     * @param {{value?: number, delta?: number}} change - The new value when setting it, otherwise the difference
+     * @param {object} options - Additional options, passed on to _changePartyFate
+     * @returns {Promise<ChangeResult>} The result of the operation
+     * @private
+     */
+    static async _adjustPartyFate(reason, { value, delta = 0 }, options) {
+        const partyFate = this.getPartyFate();
+        const change = { value, delta, expected: partyFate.current };
+        const { newValue } = this._resolveChange(partyFate, reason, change);
+        if (!Permissions.canAdjustFate(game.user, reason === "set" ? newValue - partyFate.current : delta)) {
+            return this._fail("NoPermission", reason, partyFate.current);
+        }
+
+        if (game.users.activeGM?.isSelf) return this._changePartyFate(reason, change, options);
+
+        // Nothing to relay
+        if (reason === "set" && newValue === partyFate.current) return { success: true, oldValue: partyFate.current, newValue, reason };
+
+        if (Hooks.call(HOOKS.PRE_CHANGE_FATE, null, game.user, { oldValue: partyFate.current, newValue, reason }) === false) {
+            return this._cancelled(reason, partyFate.current);
+        }
+
+        const { chatMessage = true } = options;
+        const response = await SocketHandler.requestGM("changePartyFate", { ...change, reason, chatMessage }, { queue: true });
+        if (!response.success) return this._failRelayed(response, reason, partyFate.current);
+        return { success: true, oldValue: response.oldValue, newValue: response.newValue, reason };
+    }
+
+    /**
+     * Handle a relayed party Fate adjustment on the active GM's client
+     * The requesting client already called preChangeFate
+     * @param {object} payload - The request payload
+     * @param {number} payload.value - The new pool value, used when setting it
+     * @param {number} payload.delta - The change in the pool, used for every other reason
+     * @param {number} [payload.expected] - The value the requester saw; a set is refused if it has since changed
+     * @param {string} payload.reason - Why the pool changed
+     * @param {boolean} payload.chatMessage - Whether to show a chat message
+     * @param {User} requester - The user who sent the request
+     * @returns {Promise<ChangeResult>} The result to send back
+     * @private
+     */
+    static async _handleChangePartyFateRequest({ value, delta, expected, reason, chatMessage }, requester) {
+        const change = reason === "set" ? value : delta;
+        if (!["added", "removed", "set"].includes(reason) || !Number.isInteger(change)) {
+            return { success: false, error: "InvalidAmount" };
+        }
+        if (!this.usesPartyFate()) return { success: false, error: "PartyFateDisabled" };
+
+        log("debug", "Applying relayed party fate change", { requester: requester.name, reason, delta, value });
+        return this._changePartyFate(reason, { value, delta, expected }, { chatMessage, user: requester, relayed: true });
+    }
+
+    /**
+     * Write a party Fate change, record it in the ledger and announce it
+     * Changes to the pool are written one at a time, each against its latest value
+     * @param {"used"|"added"|"removed"|"set"|"session"|"refunded"} reason - Why the pool changed
+     * @param {{value?: number, delta?: number, expected?: number}} change - The change, as taken by _resolveChange
+     * @param {object} [options] - Additional options
+     * @param {boolean} [options.chatMessage=true] - Whether to show a chat message
+     * @param {User} [options.user=game.user] - The user who made the change
+     * @param {string} [options.use] - What the fate was spent on
+     * @param {string} [options.rollMessageId] - The chat message of the roll the fate applied to
+     * @param {boolean} [options.relayed=false] - Whether the requesting client already called preChangeFate
+     * @returns {Promise<ChangeResult>} The result of the operation
+     * @private
+     */
+    static _changePartyFate(reason, change, options = {}) {
+        const {
+            chatMessage = true,
+            user = game.user,
+            use = null,
+            rollMessageId = null,
+            relayed = false
+        } = options;
+
+        return this._serialize("party", async () => {
+            const partyFate = this.getPartyFate();
+            const oldValue = partyFate.current;
+
+            if (reason === "used" && oldValue + change.delta < 0) return this._reject("InsufficientFate", reason, oldValue, user);
+            const { newValue, error } = this._resolveChange(partyFate, reason, change);
+            if (error) return this._reject(error, reason, oldValue, user);
+
+            // Nothing to write, record or announce
+            if (newValue === oldValue) return { success: true, oldValue, newValue, reason };
+
+            // Checked against the requesting user's rights, since which way a set goes depends on the latest value;
+            // refunds were checked against the spend they give back
+            if (!["used", "session", "refunded"].includes(reason) && !Permissions.canAdjustFate(user, newValue - oldValue)) {
+                return this._reject("NoPermission", reason, oldValue, user);
+            }
+
+            // Spends already passed preUseFate on the spending client, and session starts preStartSession
+            if (!relayed && !["used", "session"].includes(reason) && Hooks.call(HOOKS.PRE_CHANGE_FATE, null, user, { oldValue, newValue, reason }) === false) {
+                return this._cancelled(reason, oldValue);
+            }
+
+            try {
+                await setSetting(SETTINGS_KEYS.PARTY_FATE, newValue);
+
+                log("info", `Party fate ${reason}`, { user: user.name, oldValue, newValue, use });
+                if (reason === "used" && rollMessageId) {
+                    this._refunds.set(rollMessageId, { target: "party", amount: oldValue - newValue, userId: user.id });
+                }
+
+                const operationId = foundry.utils.randomID();
+                Hooks.callAll(HOOKS.FATE_CHANGED, null, user, { oldValue, newValue, reason, use, operationId });
+
+                await Ledger.record({
+                    type: "party",
+                    oldValue,
+                    newValue,
+                    reason,
+                    userId: user.id,
+                    operationId,
+                    use
+                });
+
+                if (chatMessage) {
+                    await this.sendFateChangeMessage(null, oldValue, newValue, partyFate.max, newValue - oldValue, {
+                        reason,
+                        user,
+                        operationId,
+                        use,
+                        rollMessageId
+                    });
+                }
+
+                return { success: true, oldValue, newValue, reason };
+            } catch (error) {
+                log("error", `Failed to change party fate (${reason})`, error);
+                return this._fail("UpdateFailed", reason, oldValue, "error");
+            }
+        });
+    }
+
+    /**
+     * Check if a user may spend from the party pool
+     * @param {User} [actingUser=game.user] - The user attempting to spend it
+     * @returns {boolean} Whether the user can spend party Fate
+     * @private
+     */
+    static _canUsePartyFate(actingUser = game.user) {
+        if (!actingUser.isGM && !getSetting(SETTINGS_KEYS.ALLOW_PLAYER_USE)) return false;
+        return Permissions.has(actingUser, PERMISSIONS.SPEND_OWN_FATE);
+    }
+
+    /**
+     * Get the current session number
+     * @returns {number} The number of sessions started so far
+     */
+    static getSessionNumber() {
+        return getSetting(SETTINGS_KEYS.SESSION_NUMBER) ?? 0;
+    }
+
+    /**
+     * Start a new session (GM only)
+     * Refreshes every player character's Fate to its maximum, resets Ruin to the configured
+     * starting value, advances the session counter and posts one summary chat card.
+     * Like every other change, it is applied by the active GM's client
+     * @param {object} [options] - Additional options
+     * @param {boolean} [options.chatMessage=true] - Whether to show the summary chat message
+     * @returns {Promise<boolean>} Whether the operation succeeded
+     */
+    static async startSession(options = {}) {
+        const { chatMessage = true } = options;
+
+        if (!game.user.isGM) {
+            notify("GMOnly", "warn");
+            return false;
+        }
+
+        if (game.users.activeGM?.isSelf) return (await this._startSession(chatMessage, game.user)).success;
+
+        const response = await SocketHandler.requestGM("startSession", { chatMessage });
+        if (!response.success && response.error !== "Cancelled") notify(response.error ?? "UpdateFailed", "warn");
+        return response.success;
+    }
+
+    /**
+     * Handle a session start relayed by another GM on the active GM's client
+     * @param {object} payload - The request payload
+     * @param {boolean} payload.chatMessage - Whether to show the summary chat message
+     * @param {User} requester - The user who sent the request
+     * @returns {Promise<{success: boolean, error?: string}>} The result to send back
+     * @private
+     */
+    static async _handleStartSessionRequest({ chatMessage = true }, requester) {
+        if (!requester.isGM) return { success: false, error: "GMOnly" };
+        return this._startSession(chatMessage !== false, requester);
+    }
+
+    /**
+     * Start a new session on the active GM's client
+     * Every character is held while it is refreshed, so no spend or adjustment lands between
+     * reading and writing it; the party and Ruin pools are reset under their own locks
+     * @param {boolean} chatMessage - Whether to show the summary chat message
+     * @param {User} user - The GM who started the session
+     * @returns {Promise<{success: boolean, error?: string}>} The result
+     * @private
+     */
+    static _startSession(chatMessage, user) {
+        const characters = this.usesCharacterFate() ? this.getPartyCharacters() : [];
+
+        return this._serializeAll(characters.map(actor => actor.uuid), async () => {
+            const session = this.getSessionNumber() + 1;
+            const refreshed = characters.map(actor => {
+                const fatePoints = this.getFatePoints(actor) ?? { current: 0, max: 0 };
+                return { actor, oldValue: fatePoints.current, newValue: fatePoints.max };
+            });
+
+            const partyFate = this.usesPartyFate() ? this.getPartyFate() : null;
+            const ruinData = this.getRuinPoints();
+            const ruinStart = Math.min(ruinData.max, Math.max(0, getSetting(SETTINGS_KEYS.SESSION_RUIN_START) ?? 0));
+
+            // Every GM's pool is reset when each GM has their own
+            const ruinPools = this.getRuinPools().map(({ id }) => ({
+                pool: id,
+                oldValue: this.getRuinPoints(id).current,
+                newValue: ruinStart
+            }));
+            const hookData = {
+                session,
+                refreshed,
+                party: partyFate ? { oldValue: partyFate.current, newValue: partyFate.max } : null,
+                ruin: { oldValue: ruinData.current, newValue: ruinStart },
+                ruinPools
+            };
+
+            if (Hooks.call(HOOKS.PRE_START_SESSION, user, { ...hookData }) === false) {
+                log("debug", "Session start cancelled by a hook", { session });
+                return { success: false, error: "Cancelled" };
+            }
+
+            try {
+                // Advance the counter first so the resets are recorded in the new session
+                await setSetting(SETTINGS_KEYS.SESSION_NUMBER, session);
+
+                // One batch update - the updateActor hook records each change but skips the per-character chat message
+                const updates = refreshed
+                    .filter(({ oldValue, newValue }) => oldValue !== newValue)
+                    .map(({ actor, newValue }) => ({ _id: actor.id, ...this.getFateUpdate(actor, newValue) }));
+                if (updates.length) {
+                    await Actor.updateDocuments(updates, { _impmalSharedFate: { reason: "session", userId: user.id } });
+                }
+
+                if (partyFate && partyFate.current !== partyFate.max) {
+                    await this._changePartyFate("session", { value: partyFate.max }, { chatMessage: false, user });
+                }
+
+                for (const { pool, newValue } of ruinPools) {
+                    await this._serialize(`ruin.${pool ?? "shared"}`, async () => {
+                        // Re-read in case a change to this pool was written since the hook data was built
+                        const oldValue = this.getRuinPoints(pool).current;
+                        if (oldValue === newValue) return;
+                        await this.storeRuin(pool, newValue);
+                        Hooks.callAll(HOOKS.RUIN_CHANGED, user, { oldValue, newValue, reason: "session", pool });
+                        await Ledger.record({
+                            type: "ruin",
+                            pool,
+                            oldValue,
+                            newValue,
+                            reason: "session",
+                            userId: user.id,
+                            operationId: foundry.utils.randomID()
+                        });
+                    });
+                }
+
+                log("info", "Session started", { session, characters: refreshed.length, ruin: ruinStart });
+                Hooks.callAll(HOOKS.START_SESSION, user, hookData);
+
+                if (chatMessage) {
+                    await this._sendSessionChatMessage(session, refreshed, { ...ruinData, current: ruinStart }, partyFate);
+                }
+
+                return { success: true };
+            } catch (error) {
+                log("error", "Failed to start session", error);
+                if (user.isSelf) notify("UpdateFailed", "error");
+                return { success: false, error: "UpdateFailed" };
+            }
+        });
+    }
+
+    /**
+     * Get every character belonging to a non-GM user
+     * @returns {Actor[]} The characters, without duplicates
+     */
+    static getPartyCharacters() {
+        const characters = game.users
+            .filter(user => !this.isGM(user))
+            .flatMap(user => this.getPlayerCharacters(user));
+        return [...new Set(characters)];
+    }
+
+    /**
+     * Use fate points for a character
+     * While a GM is connected, every client but the active GM's has the spend applied by the active GM;
+     * otherwise only owners of the character can spend its fate
+     * @param {FateTarget} target - The character, or the user whose main character should use fate
+     * @param {number} [amount=1] - Amount of fate to use
+     * @param {object} [options] - Additional options
+     * @param {string} [options.use] - What the fate was spent on, one of FATE_USES
+     * @param {string} [options.rollMessageId] - The chat message of the roll the fate applied to
+     * @returns {Promise<ChangeResult>} The result of the operation
+     */
+    static async useFate(target, amount = 1, options = {}) {
+        const details = this._getSpendDetails(options);
+        const validation = this._validateFateUse(target, amount, game.user);
+        if (validation.error) {
+            return this._fail(validation.error, "used", this.getFatePoints(target)?.current);
+        }
+
+        const { character, fatePoints } = validation;
+        const hookData = {
+            oldValue: fatePoints.current,
+            newValue: Math.max(0, fatePoints.current - amount),
+            amount,
+            reason: "used",
+            ...details
+        };
+
+        if (Hooks.call(HOOKS.PRE_USE_FATE, character, game.user, { ...hookData }) === false) {
+            return this._cancelled("used", fatePoints.current);
+        }
+
+        let result;
+        if (this._relaysFate(character)) {
+            const response = await SocketHandler.requestGM("useFate", { actorId: character.uuid, amount, ...details });
+            if (!response.success) {
+                return this._fail(response.error ?? "UpdateFailed", "used", fatePoints.current);
+            }
+            result = { success: true, oldValue: response.oldValue, newValue: response.newValue, reason: "used" };
+        } else {
+            result = await this._applyFateUse(amount, character, game.user, details);
+            if (!result.success) return result;
+        }
+
+        Hooks.callAll(HOOKS.USE_FATE, character, game.user, { ...hookData, oldValue: result.oldValue, newValue: result.newValue });
+        return result;
+    }
+
+    /**
+     * Handle a relayed fate spend on the active GM's client
+     * @param {object} payload - The request payload
+     * @param {string} payload.actorId - The UUID of the character that should use fate
+     * @param {number} payload.amount - Amount of fate to use
+     * @param {string} [payload.use] - What the fate was spent on
+     * @param {string} [payload.rollMessageId] - The chat message of the roll the fate applied to
+     * @param {User} requester - The user who sent the request
+     * @returns {Promise<ChangeResult>} The result to send back
+     * @private
+     */
+    static async _handleUseFateRequest({ actorId, amount, ...options }, requester) {
+        const character = this.resolveCharacter(actorId);
+        if (!character) return { success: false, error: "NoCharacter" };
+
+        // Validate against the requesting user's rights, not the GM's
+        const validation = this._validateFateUse(character, amount, requester);
+        if (validation.error) return { success: false, error: validation.error };
+
+        log("debug", "Applying relayed fate spend", { requester: requester.name, character: character.name, amount });
+        return this._applyFateUse(amount, character, requester, this._getSpendDetails(options));
+    }
 
+    /**
+     * Extract the spend type and roll link from useFate options, dropping anything unknown
+     * @param {object} options - The useFate options
+     * @returns {{use: string|null, rollMessageId: string|null}} The spend details
+     * @private
+     */
+    static _getSpendDetails({ use, rollMessageId } = {}) {
         return {
-            current: fate.value ?? 0,
-            max: fate.max ?? 0
+            use: Object.values(FATE_USES).includes(use) ? use : null,
+            rollMessageId: game.messages.has(rollMessageId) ? rollMessageId : null
+        };
+    }
+
+    /**
+     * Check whether a fate spend may go ahead
+     * @param {FateTarget} target - The character, or the user whose main character should use fate
+     * @param {number} amount - Amount of fate to use
+     * @param {User} actingUser - The user performing the spend
+     * @returns {{character?: Actor, fatePoints?: {current: number, max: number}, error?: string}} The character and fate data, or an error notification key
+     * @private
+     */
+    static _validateFateUse(target, amount, actingUser) {
+        if (!Number.isInteger(amount) || amount < 1) return { error: "InvalidAmount" };
+
+        const character = this.resolveCharacter(target);
+        if (!character) return { error: "NoCharacter" };
+
+        // Validate user can use fate
+        if (!this._canUseFate(character, actingUser)) return { error: "CannotUseFate" };
+
+        const fatePoints = this.getFatePoints(character);
+        if (!fatePoints || fatePoints.current < amount) return { error: "InsufficientFate" };
+
+        return { character, fatePoints };
+    }
+
+    /**
+     * Apply a validated fate spend to the character sheet
+     * Changes to the same character are written one at a time, so the spend is checked against its latest fate
+     * @param {number} amount - Amount of fate to use
+     * @param {Actor} character - The character spending fate
+     * @param {User} actingUser - The user who spent the fate, recorded in the ledger
+     * @param {{use: string|null, rollMessageId: string|null}} details - What the fate was spent on
+     * @returns {Promise<ChangeResult>} The result
+     * @private
+     */
+    static _applyFateUse(amount, character, actingUser, details) {
+        return this._serialize(character.uuid, async () => {
+            const oldValue = this.getFatePoints(character)?.current ?? null;
+            if (oldValue === null || oldValue < amount) return this._reject("InsufficientFate", "used", oldValue, actingUser);
+            const newValue = oldValue - amount;
+
+            try {
+                // Update the character sheet - the updateActor hook will handle the chat message and ledger entry
+                await character.update(this.getFateUpdate(character, newValue), {
+                    _impmalSharedFate: { reason: "used", userId: actingUser.id, ...details }
+                });
+                if (details.rollMessageId) {
+                    this._refunds.set(details.rollMessageId, { target: character.uuid, amount, userId: actingUser.id });
+                }
+
+                log("info", "Fate point used", { 
+                    user: actingUser.name, 
+                    character: character.name, 
+                    amount, 
+                    newValue,
+                    ...details
+                });
+
+                return { success: true, oldValue, newValue, reason: "used" };
+            } catch (error) {
+                log("error", "Failed to use fate point", error);
+                return this._fail("UpdateFailed", "used", oldValue, "error");
+            }
+        });
+    }
+
+    /**
+     * Give back Fate spent on a roll that could not then be updated
+     * Only the user who made the spend can have it refunded, and only once
+     * @param {string} rollMessageId - The chat message of the roll the fate was spent on
+     * @returns {Promise<ChangeResult>} The result of the operation
+     */
+    static async refundFate(rollMessageId) {
+        const activeGM = game.users.activeGM;
+        if (!activeGM || activeGM.isSelf) return this._handleRefundFateRequest({ rollMessageId }, game.user);
+
+        const response = await SocketHandler.requestGM("refundFate", { rollMessageId });
+        if (!response.success) {
+            return { success: false, oldValue: null, newValue: null, reason: "refunded", error: response.error ?? "UpdateFailed" };
+        }
+        return { success: true, oldValue: response.oldValue, newValue: response.newValue, reason: "refunded" };
+    }
+
+    /**
+     * Handle a refund on the client that wrote the spend
+     * The refund is checked against the spend it gives back, so it needs no Add Fate permission
+     * @param {object} payload - The request payload
+     * @param {string} payload.rollMessageId - The chat message of the roll the fate was spent on
+     * @param {User} requester - The user who asked for the refund
+     * @returns {Promise<ChangeResult>} The result to send back
+     * @private
+     */
+    static async _handleRefundFateRequest({ rollMessageId }, requester) {
+        const refund = this._refunds.get(rollMessageId);
+        if (!refund || refund.userId !== requester.id) return { success: false, error: "NoPermission" };
+        this._refunds.delete(rollMessageId);
+
+        log("debug", "Refunding fate spent on a roll", { requester: requester.name, rollMessageId, ...refund });
+        const change = { delta: refund.amount };
+        if (refund.target === "party") {
+            return this._changePartyFate("refunded", change, { user: requester, relayed: true });
+        }
+
+        const character = this.resolveCharacter(refund.target);
+        if (!character) return { success: false, error: "NoCharacter" };
+        return this._writeFate(character, "refunded", change, requester);
+    }
+
+    /**
+     * Add fate points to a character (requires the Add Fate permission)
+     * @param {FateTarget} target - The character, or the user whose main character should receive fate
+     * @param {number} [amount=1] - Amount of fate to add
+     * @returns {Promise<ChangeResult>} The result of the operation
+     */
+    static async addFate(target, amount = 1) {
+        if (!Number.isInteger(amount) || amount < 1) {
+            return this._fail("InvalidAmount", "added", this.getFatePoints(target)?.current);
+        }
+
+        // Calculate new value, capped at max
+        return this._changeFate(target, "added", { delta: amount });
+    }
+
+    /**
+     * Remove fate points from a character (requires the Remove Fate permission)
+     * @param {FateTarget} target - The character, or the user whose main character should lose fate
+     * @param {number} [amount=1] - Amount of fate to remove
+     * @returns {Promise<ChangeResult>} The result of the operation
+     */
+    static async removeFate(target, amount = 1) {
+        if (!Number.isInteger(amount) || amount < 1) {
+            return this._fail("InvalidAmount", "removed", this.getFatePoints(target)?.current);
+        }
+
+        // Calculate new value, minimum 0
+        return this._changeFate(target, "removed", { delta: -amount });
+    }
+
+    /**
+     * Set a character's fate points to an exact value (requires the Add or Remove Fate permission, depending on direction)
+     * @param {FateTarget} target - The character, or the user whose main character is meant
+     * @param {number} value - The new fate value, clamped between 0 and the character's maximum
+     * @returns {Promise<ChangeResult>} The result of the operation
+     */
+    static async setFate(target, value) {
+        if (!Number.isInteger(value)) {
+            return this._fail("InvalidAmount", "set", this.getFatePoints(target)?.current);
+        }
+
+        return this._changeFate(target, "set", { value });
+    }
+
+    /**
+     * Burn fate to avoid death, lowering the character's maximum as well as their current fate
+     * The active GM is asked to confirm every burn, including their own
+     * @param {FateTarget} target - The character, or the user whose main character should burn fate
+     * @param {number} [amount=1] - Amount of fate to burn
+     * @returns {Promise<ChangeResult>} The result of the operation
+     */
+    static async burnFate(target, amount = 1) {
+        const validation = this._validateFateBurn(target, amount, game.user);
+        if (validation.error) return this._fail(validation.error, "burned", this.getFatePoints(target)?.current);
+
+        const { character, fatePoints } = validation;
+        const hookData = {
+            oldValue: fatePoints.current,
+            newValue: Math.clamp(fatePoints.current - amount, 0, fatePoints.max - amount),
+            oldMax: fatePoints.max,
+            newMax: fatePoints.max - amount,
+            amount,
+            reason: "burned"
         };
+
+        if (Hooks.call(HOOKS.PRE_BURN_FATE, character, game.user, { ...hookData }) === false) {
+            return this._cancelled("burned", fatePoints.current);
+        }
+
+        if (!game.users.activeGM?.isSelf) notify("BurnRequested", "info");
+        const response = await SocketHandler.requestGM("burnFate", { actorId: character.uuid, amount }, {
+            timeout: BURN_CONFIRM_TIMEOUT
+        });
+        if (!response.success) return this._fail(response.error ?? "UpdateFailed", "burned", fatePoints.current);
+
+        const result = { success: true, ...response, reason: "burned" };
+        Hooks.callAll(HOOKS.BURN_FATE, character, game.user, { ...hookData, ...result });
+        return result;
+    }
+
+    /**
+     * Handle a burn request on the active GM's client, asking the GM to confirm it
+     * A burn confirmed too late is not applied; the GM's window closes well before the requester stops waiting
+     * @param {object} payload - The request payload
+     * @param {string} payload.actorId - The UUID of the character that should burn fate
+     * @param {number} payload.amount - Amount of fate to burn
+     * @param {User} requester - The user who sent the request
+     * @returns {Promise<ChangeResult>} The result to send back
+     * @private
+     */
+    static async _handleBurnFateRequest({ actorId, amount }, requester) {
+        const deadline = Date.now() + BURN_CONFIRM_TIMEOUT - BURN_CONFIRM_MARGIN;
+
+        // Validate against the requesting user's rights, not the GM's
+        const validation = this._validateFateBurn(actorId, amount, requester);
+        if (validation.error) return { success: false, error: validation.error };
+
+        const { character } = validation;
+        if (!await UIHandler.confirmFateBurn(character, amount, requester)) return { success: false, error: "BurnDeclined" };
+        if (Date.now() > deadline) return { success: false, error: "RequestTimedOut" };
+
+        log("debug", "Burning fate", { requester: requester.name, character: character.name, amount });
+        return this._writeFateMax(character, "burned", -amount, requester);
+    }
+
+    /**
+     * Check whether a fate burn may go ahead
+     * Burning follows the same rules as spending, but needs the maximum rather than the current fate
+     * @param {FateTarget} target - The character, or the user whose main character should burn fate
+     * @param {number} amount - Amount of fate to burn
+     * @param {User} actingUser - The user asking for the burn
+     * @returns {{character?: Actor, fatePoints?: {current: number, max: number}, error?: string}} The character and fate data, or an error notification key
+     * @private
+     */
+    static _validateFateBurn(target, amount, actingUser) {
+        if (!Number.isInteger(amount) || amount < 1) return { error: "InvalidAmount" };
+
+        const character = this.resolveCharacter(target);
+        if (!character) return { error: "NoCharacter" };
+        if (!this._canUseFate(character, actingUser)) return { error: "CannotUseFate" };
+
+        const fatePoints = this.getFatePoints(character);
+        if (!fatePoints || fatePoints.max < amount) return { error: "InsufficientFate" };
+
+        return { character, fatePoints };
+    }
+
+    /**
+     * Raise or lower a character's maximum fate (GM only)
+     * Current fate above a lowered maximum is lowered with it
+     * @param {FateTarget} target - The character, or the user whose main character is meant
+     * @param {number} delta - The amount to raise (positive) or lower (negative) the maximum by
+     * @returns {Promise<ChangeResult>} The result of the operation
+     */
+    static async adjustFateMax(target, delta) {
+        const character = this.resolveCharacter(target);
+        const current = this.getFatePoints(character)?.current;
+
+        if (!this.isGM(game.user)) return this._fail("GMOnly", "max", current);
+        if (!Number.isInteger(delta) || delta === 0) return this._fail("InvalidAmount", "max", current);
+        if (!character) return this._fail("NoCharacter", "max");
+
+        if (this._relaysFate(character)) {
+            const response = await SocketHandler.requestGM("changeFateMax", { actorId: character.uuid, delta });
+            if (!response.success) return this._fail(response.error ?? "UpdateFailed", "max", current);
+            return { success: true, ...response, reason: "max" };
+        }
+
+        return this._writeFateMax(character, "max", delta, game.user);
+    }
+
+    /**
+     * Handle a relayed maximum fate adjustment on the active GM's client
+     * @param {object} payload - The request payload
+     * @param {string} payload.actorId - The character's UUID
+     * @param {number} payload.delta - The change in the maximum
+     * @param {User} requester - The user who sent the request
+     * @returns {Promise<ChangeResult>} The result to send back
+     * @private
+     */
+    static async _handleChangeFateMaxRequest({ actorId, delta }, requester) {
+        if (!this.isGM(requester)) return { success: false, error: "GMOnly" };
+        if (!Number.isInteger(delta) || delta === 0) return { success: false, error: "InvalidAmount" };
+
+        const character = this.resolveCharacter(actorId);
+        if (!character) return { success: false, error: "NoCharacter" };
+
+        log("debug", "Applying relayed maximum fate change", { requester: requester.name, character: character.name, delta });
+        return this._writeFateMax(character, "max", delta, requester);
+    }
+
+    /**
+     * Update a character sheet's maximum fate, keeping the current fate within it
+     * Burning lowers the current fate by the same amount. The updateActor hook handles the chat message and ledger entry
+     * @param {Actor} character - The character
+     * @param {"burned"|"max"} reason - Why the maximum changed
+     * @param {number} delta - The change in the maximum
+     * @param {User} user - The user who made the change
+     * @returns {Promise<ChangeResult>} The result of the operation
+     * @private
+     */
+    static _writeFateMax(character, reason, delta, user) {
+        return this._serialize(character.uuid, async () => {
+            const fatePoints = this.getFatePoints(character);
+            if (!fatePoints) return this._reject("NoFateData", reason, null, user);
+
+            const { current: oldValue, max: oldMax } = fatePoints;
+            if (reason === "burned" && oldMax + delta < 0) return this._reject("InsufficientFate", reason, oldValue, user);
+
+            const newMax = Math.max(0, oldMax + delta);
+            const newValue = Math.clamp(reason === "burned" ? oldValue + delta : oldValue, 0, newMax);
+            if (newMax === oldMax) return { success: true, oldValue, newValue: oldValue, reason, oldMax, newMax };
+
+            try {
+                await character.update({
+                    ...this.getFateUpdate(character, newValue),
+                    ...this.getFateMaxUpdate(character, newMax)
+                }, {
+                    _impmalSharedFate: {
+                        reason,
+                        userId: user.id,
+                        use: reason === "burned" ? FATE_USES.AVOID_DEATH : null
+                    }
+                });
+
+                log("info", `Fate ${reason}`, { character: character.name, user: user.name, oldValue, newValue, oldMax, newMax });
+
+                return { success: true, oldValue, newValue, reason, oldMax, newMax };
+            } catch (error) {
+                log("error", `Failed to change maximum fate (${reason})`, error);
+                return this._fail("UpdateFailed", reason, oldValue, "error");
+            }
+        });
     }
 
     /**
-     * Get Ruin points for GM
-     * @returns {{current: number, max: number}} Ruin point data
+     * Adjust the fate points of several characters in one batch update
+     * Each change is clamped between 0 and the character's maximum. Gains are recorded as "added",
+     * losses as "removed", and several changes to the same character are applied in order.
+     * Gains need the Add Fate permission and losses the Remove Fate permission. Clients other than
+     * the active GM's make each change separately, which the active GM applies while connected
+     * @param {{target: FateTarget, delta: number}[]} changes - The characters and the amount to add (positive) or remove (negative)
+     * @returns {Promise<ChangeResult[]>} One result per change, in the order given
      */
-    static getRuinPoints() {
-        return {
-            current: getSetting(SETTINGS_KEYS.GM_RUIN) ?? 0,
-            max: getSetting(SETTINGS_KEYS.GM_RUIN_MAX) ?? 5
-        };
+    static async adjustFate(changes) {
+        if (!game.users.activeGM?.isSelf) {
+            const results = [];
+            for (const { target, delta } of changes) {
+                const reason = delta > 0 ? "added" : "removed";
+                if (!Number.isInteger(delta) || delta === 0) {
+                    results.push(this._fail("InvalidAmount", reason, this.getFatePoints(target)?.current));
+                    continue;
+                }
+                results.push(await this._changeFate(target, reason, { delta }));
+            }
+            return results;
+        }
+
+        // Hold every character in the batch so no other change lands between reading and writing them
+        const characters = changes.map(({ target }) => this.resolveCharacter(target)).filter(character => character);
+        return this._serializeAll(characters.map(character => character.uuid), () => this._adjustFateBatch(changes));
     }
 
     /**
-     * Use Ruin point (GM only)
-     * @param {number} [amount=1] - Amount of Ruin to use
-     * @param {object} [options] - Additional options
-     * @param {boolean} [options.chatMessage=true] - Whether to show a chat message
-     * @returns {Promise<boolean>} Whether the operation succeeded
+     * Apply adjustFate's changes as batch updates on the active GM's client
+     * @param {{target: FateTarget, delta: number}[]} changes - The characters and the amount to add or remove
+     * @returns {Promise<ChangeResult[]>} One result per change, in the order given
+     * @private
      */
-    static async useRuin(amount = 1, options = {}) {
-        const { chatMessage = getSetting(SETTINGS_KEYS.SHOW_CHAT_MESSAGES) } = options;
+    static async _adjustFateBatch(changes) {
+        // Work out every change against a running total so repeated targets stack
+        const running = new Map();
+        const results = changes.map(({ target, delta }) => {
+            const reason = delta > 0 ? "added" : "removed";
+            const character = this.resolveCharacter(target);
+            if (!character) return { success: false, oldValue: null, newValue: null, reason, error: "NoCharacter" };
 
-        if (!game.user.isGM) {
-            notify("GMOnly", "warn");
-            return false;
-        }
+            const fatePoints = this.getFatePoints(character);
+            if (!fatePoints) return { success: false, oldValue: null, newValue: null, reason, error: "NoFateData" };
 
-        const ruinData = this.getRuinPoints();
-        if (ruinData.current < amount) {
-            notify("InsufficientRuin", "warn");
-            return false;
-        }
+            const oldValue = running.get(character) ?? fatePoints.current;
+            if (!Number.isInteger(delta) || delta === 0) {
+                return { success: false, oldValue, newValue: oldValue, reason, error: "InvalidAmount" };
+            }
 
-        const newValue = Math.max(0, ruinData.current - amount);
+            const newValue = Math.clamp(oldValue + delta, 0, fatePoints.max);
+            if (!Permissions.canAdjustFate(game.user, newValue - oldValue)) {
+                return { success: false, oldValue, newValue: oldValue, reason, error: "NoPermission" };
+            }
+            if (Hooks.call(HOOKS.PRE_CHANGE_FATE, character, game.user, { oldValue, newValue, reason }) === false) {
+                return { success: false, oldValue, newValue: oldValue, reason, error: "Cancelled" };
+            }
 
-        try {
-            await setSetting(SETTINGS_KEYS.GM_RUIN, newValue);
+            running.set(character, newValue);
+            return { success: true, oldValue, newValue, reason, character };
+        });
 
-            log("info", "Ruin point used", { amount, newValue });
+        // One update per direction, so each change is recorded with the right reason
+        const batches = { added: [], removed: [] };
+        for (const [character, newValue] of running) {
+            const current = this.getFatePoints(character).current;
+            if (newValue === current) continue;
+            batches[newValue > current ? "added" : "removed"].push(character);
+        }
 
-            if (chatMessage) {
-                await this._sendRuinChatMessage("used", amount, newValue, ruinData.max);
+        const failed = new Set();
+        for (const [reason, characters] of Object.entries(batches)) {
+            if (!characters.length) continue;
+            try {
+                // Unlinked tokens' actors live on their token, so they can't join the world batch
+                const options = { _impmalSharedFate: { reason } };
+                const updates = characters
+                    .filter(character => !character.isToken)
+                    .map(character => ({ _id: character.id, ...this.getFateUpdate(character, running.get(character)) }));
+                if (updates.length) await Actor.updateDocuments(updates, options);
+                for (const character of characters.filter(character => character.isToken)) {
+                    await character.update(this.getFateUpdate(character, running.get(character)), options);
+                }
+            } catch (error) {
+                log("error", "Failed to adjust fate", error);
+                characters.forEach(character => failed.add(character));
             }
+        }
 
-            return true;
-        } catch (error) {
-            log("error", "Failed to use Ruin point", error);
-            notify("UpdateFailed", "error");
-            return false;
+        for (const result of results) {
+            const { character } = result;
+            delete result.character;
+            if (failed.has(character)) {
+                Object.assign(result, { success: false, newValue: result.oldValue, error: "UpdateFailed" });
+            }
         }
+
+        log("info", "Fate adjusted", { changes: results.length, failed: results.filter(result => !result.success).length });
+
+        // Cancelled changes are left for the hook that cancelled them to explain
+        const firstError = results.find(result => result.error && result.error !== "Cancelled")?.error;
+        if (firstError) notify(firstError, "warn");
+
+        return results;
     }
 
     /**
-     * Add Ruin points (GM only)
-     * @param {number} [amount=1] - Amount of Ruin to add
-     * @param {object} [options] - Additional options
-     * @param {boolean} [options.chatMessage=true] - Whether to show a chat message
-     * @returns {Promise<boolean>} Whether the operation succeeded
+     * Write a new fate value to a character sheet
+     * While a GM is connected, every client but the active GM's has the change applied by the active GM;
+     * otherwise only owners of the character can change its fate. Differences are clamped by the
+     * writing client against the live value, since this client's value may be out of date
+     * @param {FateTarget} target - The character, or the user whose main character is meant
+     * @param {"added"|"removed"|"set"} reason - Why the fate changed
+     * @param {{value?: number, delta?: number}} change - The new value when setting it, otherwise the difference
+     * @returns {Promise<ChangeResult>} The result of the operation
+     * @private
      */
-    static async addRuin(amount = 1, options = {}) {
-        const { chatMessage = getSetting(SETTINGS_KEYS.SHOW_CHAT_MESSAGES) } = options;
+    static async _changeFate(target, reason, { value, delta = 0 }) {
+        const character = this.resolveCharacter(target);
+        if (!character) return this._fail("NoCharacter", reason);
 
-        if (!game.user.isGM) {
-            notify("GMOnly", "warn");
-            return false;
-        }
+        const fatePoints = this.getFatePoints(character);
+        if (!fatePoints) return this._fail("NoFateData", reason);
 
-        const ruinData = this.getRuinPoints();
-        const newValue = Math.min(ruinData.max, ruinData.current + amount);
+        const oldValue = fatePoints.current;
+        const change = { value, delta, expected: oldValue };
+        const { newValue } = this._resolveChange(fatePoints, reason, change);
+        if (!Permissions.canAdjustFate(game.user, reason === "set" ? newValue - oldValue : delta)) return this._fail("NoPermission", reason, oldValue);
+        if (reason === "set" && newValue === oldValue) return { success: true, oldValue, newValue, reason };
 
-        try {
-            await setSetting(SETTINGS_KEYS.GM_RUIN, newValue);
+        if (Hooks.call(HOOKS.PRE_CHANGE_FATE, character, game.user, { oldValue, newValue, reason }) === false) {
+            return this._cancelled(reason, oldValue);
+        }
 
-            log("info", "Ruin point added", { amount, newValue });
+        if (this._relaysFate(character)) {
+            const response = await SocketHandler.requestGM("changeFate", { actorId: character.uuid, ...change, reason });
+            if (!response.success) return this._fail(response.error ?? "UpdateFailed", reason, oldValue);
+            return { success: true, oldValue: response.oldValue, newValue: response.newValue, reason };
+        }
 
-            if (chatMessage) {
-                await this._sendRuinChatMessage("added", amount, newValue, ruinData.max);
-            }
+        return this._writeFate(character, reason, change, game.user);
+    }
 
-            return true;
-        } catch (error) {
-            log("error", "Failed to add Ruin point", error);
-            notify("UpdateFailed", "error");
-            return false;
+    /**
+     * Handle a relayed fate adjustment on the active GM's client
+     * The requesting client already called preChangeFate
+     * @param {object} payload - The request payload
+     * @param {string} payload.actorId - The character's UUID
+     * @param {number} payload.value - The new fate value, used when setting it
+     * @param {number} payload.delta - The change in fate, used for every other reason
+     * @param {number} [payload.expected] - The value the requester saw; a set is refused if it has since changed
+     * @param {string} payload.reason - Why the fate changed
+     * @param {User} requester - The user who sent the request
+     * @returns {Promise<ChangeResult>} The result to send back
+     * @private
+     */
+    static async _handleChangeFateRequest({ actorId, value, delta, expected, reason }, requester) {
+        const change = reason === "set" ? value : delta;
+        if (!["added", "removed", "set"].includes(reason) || !Number.isInteger(change)) {
+            return { success: false, error: "InvalidAmount" };
         }
+
+        const character = this.resolveCharacter(actorId);
+        if (!character) return { success: false, error: "NoCharacter" };
+
+        log("debug", "Applying relayed fate change", { requester: requester.name, character: character.name, reason, delta, value });
+        return this._writeFate(character, reason, { value, delta, expected }, requester);
     }
 
     /**
-     * Remove Ruin points (GM only)
-     * @param {number} [amount=1] - Amount of Ruin to remove
-     * @param {object} [options] - Additional options
-     * @param {boolean} [options.chatMessage=true] - Whether to show a chat message
-     * @returns {Promise<boolean>} Whether the operation succeeded
+     * Update a character sheet's fate value
+     * Changes to the same character are written one at a time, each against its latest fate.
+     * The updateActor hook handles the chat message and ledger entry
+     * @param {Actor} character - The character
+     * @param {"added"|"removed"|"set"|"refunded"} reason - Why the fate changed
+     * @param {{value?: number, delta?: number, expected?: number}} change - The change, as taken by _resolveChange
+     * @param {User} user - The user who made the change
+     * @returns {Promise<ChangeResult>} The result of the operation
+     * @private
      */
-    static async removeRuin(amount = 1, options = {}) {
-        const { chatMessage = getSetting(SETTINGS_KEYS.SHOW_CHAT_MESSAGES) } = options;
+    static _writeFate(character, reason, change, user) {
+        return this._serialize(character.uuid, async () => {
+            const fatePoints = this.getFatePoints(character);
+            if (!fatePoints) return this._reject("NoFateData", reason, null, user);
 
-        if (!game.user.isGM) {
-            notify("GMOnly", "warn");
-            return false;
-        }
+            const oldValue = fatePoints.current;
+            const { newValue, error } = this._resolveChange(fatePoints, reason, change);
+            if (error) return this._reject(error, reason, oldValue, user);
+            if (newValue === oldValue) return { success: true, oldValue, newValue, reason };
 
-        const ruinData = this.getRuinPoints();
-        const newValue = Math.max(0, ruinData.current - amount);
+            // Check against the requesting user's rights, not the GM's; refunds were checked against the spend they give back
+            if (reason !== "refunded" && !Permissions.canAdjustFate(user, newValue - oldValue)) return this._reject("NoPermission", reason, oldValue, user);
 
-        try {
-            await setSetting(SETTINGS_KEYS.GM_RUIN, newValue);
+            try {
+                await character.update(this.getFateUpdate(character, newValue), {
+                    _impmalSharedFate: { reason, userId: user.id }
+                });
 
-            log("info", "Ruin point removed", { amount, newValue });
+                log("info", `Fate ${reason}`, { 
+                    character: character.name, 
+                    user: user.name,
+                    oldValue, 
+                    newValue 
+                });
 
-            if (chatMessage) {
-                await this._sendRuinChatMessage("removed", amount, newValue, ruinData.max);
+                return { success: true, oldValue, newValue, reason };
+            } catch (error) {
+                log("error", `Failed to change fate (${reason})`, error);
+                return this._fail("UpdateFailed", reason, oldValue, "error");
             }
+        });
+    }
 
-            return true;
-        } catch (error) {
-            log("error", "Failed to remove Ruin point", error);
-            notify("UpdateFailed", "error");
-            return false;
-        }
+    /**
+     * Check whether this client hands a character's fate changes to the active GM
+     * With one client writing every change, changes made at once can't overwrite each other. While no GM
+     * is connected, owners write their characters themselves and anyone else is told no GM is connected
+     * @param {Actor} character - The character being changed
+     * @returns {boolean} Whether the change is relayed
+     * @private
+     */
+    static _relaysFate(character) {
+        const activeGM = game.users.activeGM;
+        return activeGM ? !activeGM.isSelf : !character.isOwner;
     }
 
     /**
-     * Use fate points for a user's character
-     * @param {User} user - The user whose character should use fate
-     * @param {number} [amount=1] - Amount of fate to use
-     * @param {object} [options] - Additional options
-     * @returns {Promise<boolean>} Whether the operation succeeded
+     * Run a change once every earlier change to the same target on this client has finished
+     * The change reads the target's value itself, so it always starts from the latest value
+     * @param {string} key - The target: an actor UUID, "party", or "ruin." followed by the pool
+     * @param {function(): Promise<*>} operation - Reads the target and writes its new value
+     * @returns {Promise<*>} The operation's result
+     * @private
      */
-    static async useFate(user, amount = 1, options = {}) {
-        // Validate user can use fate
-        if (!this._canUseFate(user)) {
-            notify("CannotUseFate", "warn");
-            return false;
-        }
+    static _serialize(key, operation) {
+        const result = (this._locks.get(key) ?? Promise.resolve()).then(operation);
+        const settled = result.catch(() => {});
+        this._locks.set(key, settled);
+        settled.then(() => {
+            if (this._locks.get(key) === settled) this._locks.delete(key);
+        });
+        return result;
+    }
 
-        const character = this.getPlayerCharacter(user);
-        if (!character) {
-            notify("NoCharacter", "warn");
-            return false;
-        }
+    /**
+     * Run a change that needs several targets, once each of them is free
+     * Targets are taken in a fixed order, so two such changes can't end up waiting on each other
+     * @param {string[]} keys - The targets
+     * @param {function(): Promise<*>} operation - Reads the targets and writes their new values
+     * @returns {Promise<*>} The operation's result
+     * @private
+     */
+    static _serializeAll(keys, operation) {
+        return [...new Set(keys)].sort()
+            .reduceRight((inner, key) => () => this._serialize(key, inner), operation)();
+    }
 
-        const fatePoints = this.getFatePoints(user);
-        if (!fatePoints || fatePoints.current < amount) {
-            notify("InsufficientFate", "warn");
-            return false;
+    /**
+     * Work out a change against the target's latest value
+     * Differences apply to the value as it is now; setting an exact value is refused if the value
+     * moved since the requester read it, since the user chose the new value from the old one
+     * @param {{current: number, max: number}} points - The target's latest value and maximum
+     * @param {string} reason - Why the value changes
+     * @param {{value?: number, delta?: number, expected?: number}} change - The value to set and the value it
+     *   replaces, for "set" and "session", or the difference for every other reason
+     * @returns {{newValue?: number, error?: string}} The new value, or an error notification key
+     * @private
+     */
+    static _resolveChange({ current, max }, reason, { value, delta = 0, expected }) {
+        if (reason === "set" || reason === "session") {
+            if (Number.isInteger(expected) && expected !== current) return { error: "ValueChanged" };
+            return { newValue: Math.clamp(value, 0, max) };
         }
+        return { newValue: delta > 0 ? Math.min(max, current + delta) : Math.max(0, current + delta) };
+    }
 
-        // Calculate new value
-        const newValue = Math.max(0, fatePoints.current - amount);
-
-        try {
-            // Update the character sheet - the updateActor hook will handle the chat message
-            await character.update({
-                "system.fate.value": newValue
-            });
+    /**
+     * Notify the user of a failed operation and build its result
+     * @param {string} error - The notification key
+     * @param {string} reason - The reason the change was attempted for
+     * @param {number|null} [value=null] - The unchanged value, if known
+     * @param {"warn"|"error"} [type="warn"] - The notification type
+     * @returns {ChangeResult} The failed result
+     * @private
+     */
+    static _fail(error, reason, value = null, type = "warn") {
+        notify(error, type);
+        return { success: false, oldValue: value ?? null, newValue: value ?? null, reason, error };
+    }
 
-            log("info", "Fate point used", { 
-                user: user.name, 
-                character: character.name, 
-                amount, 
-                newValue 
-            });
+    /**
+     * Build the result of a relayed operation the GM did not apply
+     * A request queued for when a GM connects is reported as information rather than a warning
+     * @param {{error?: string}} response - The reply to the relayed request
+     * @param {string} reason - The reason the change was attempted for
+     * @param {number|null} value - The unchanged value
+     * @returns {ChangeResult} The failed result
+     * @private
+     */
+    static _failRelayed(response, reason, value) {
+        const error = response.error ?? "UpdateFailed";
+        return this._fail(error, reason, value, error === "RequestQueued" ? "info" : "warn");
+    }
 
-            return true;
-        } catch (error) {
-            log("error", "Failed to use fate point", error);
-            notify("UpdateFailed", "error");
-            return false;
-        }
+    /**
+     * Build the result of a change refused when it came to be written
+     * Only the user who made it is notified here; a relayed change is reported by the requesting client
+     * @param {string} error - The notification key
+     * @param {string} reason - The reason the change was attempted for
+     * @param {number|null} value - The unchanged value
+     * @param {User} user - The user who made the change
+     * @returns {ChangeResult} The failed result
+     * @private
+     */
+    static _reject(error, reason, value, user) {
+        if (user.isSelf) notify(error, "warn");
+        return { success: false, oldValue: value, newValue: value, reason, error };
     }
 
     /**
-     * Add fate points to a user's character (GM only)
-     * @param {User} user - The user whose character should receive fate
-     * @param {number} [amount=1] - Amount of fate to add
-     * @param {object} [options] - Additional options
-     * @returns {Promise<boolean>} Whether the operation succeeded
+     * Build the result of an operation cancelled by a pre-hook
+     * The hook that cancelled it is responsible for telling the user why
+     * @param {string} reason - The reason the change was attempted for
+     * @param {number|null} value - The unchanged value
+     * @returns {ChangeResult} The failed result
+     * @private
      */
-    static async addFate(user, amount = 1, options = {}) {
-        // Only GMs can add fate
-        if (!game.user.isGM) {
-            notify("GMOnly", "warn");
-            return false;
-        }
+    static _cancelled(reason, value) {
+        log("debug", `Fate/Ruin change cancelled by a hook (${reason})`);
+        return { success: false, oldValue: value, newValue: value, reason, error: "Cancelled" };
+    }
 
-        const character = this.getPlayerCharacter(user);
-        if (!character) {
-            notify("NoCharacter", "warn");
-            return false;
-        }
+    /**
+     * Check if a character's fate points can be used
+     * @param {FateTarget} target - The character, or the user whose main character is meant
+     * @param {User} [actingUser=game.user] - The user attempting to spend it
+     * @returns {boolean} Whether the acting user can use the fate
+     * @private
+     */
+    static _canUseFate(target, actingUser = game.user) {
+        const character = this.resolveCharacter(target);
+        if (!character) return false;
+        
+        // Only GMs can use player fate if the setting is disabled
+        if (!actingUser.isGM && !getSetting(SETTINGS_KEYS.ALLOW_PLAYER_USE)) return false;
 
-        const fatePoints = this.getFatePoints(user);
-        if (!fatePoints) {
-            notify("NoFateData", "warn");
-            return false;
-        }
+        // The permission matrix decides whose fate each user may spend
+        const permission = this.isOwnCharacter(character, actingUser) ? PERMISSIONS.SPEND_OWN_FATE : PERMISSIONS.SPEND_OTHER_FATE;
+        return Permissions.has(actingUser, permission);
+    }
 
-        // Calculate new value, capped at max
-        const newValue = Math.min(fatePoints.max, fatePoints.current + amount);
+    /**
+     * Check if a user may see a character's fate
+     * @param {Actor|null} character - The character, or null for the party pool
+     * @param {User} [user=game.user] - The user looking at it
+     * @returns {boolean} Whether the fate is shown to the user
+     */
+    static canSeeFate(character, user = game.user) {
+        if (!character || this.isOwnCharacter(character, user)) return true;
 
-        try {
-            // Update the character sheet - the updateActor hook will handle the chat message
-            await character.update({
-                "system.fate.value": newValue
-            });
+        // NPC pools are only shown to players the GM lets observe the actor
+        if (!character.hasPlayerOwner) return character.testUserPermission(user, "OBSERVER");
 
-            log("info", "Fate point added", { 
-                user: user.name, 
-                character: character.name, 
-                amount, 
-                newValue 
-            });
+        // Players who hide their fate still show it to the GMs
+        if (!this.isGM(user) && this.isFateHidden(character)) return false;
+        return Permissions.has(user, PERMISSIONS.SEE_OTHER_FATE);
+    }
 
-            return true;
-        } catch (error) {
-            log("error", "Failed to add fate point", error);
-            notify("UpdateFailed", "error");
-            return false;
-        }
+    /**
+     * Check if a character's owner hides its fate from other players
+     * @param {Actor} character - The character
+     * @returns {boolean} Whether the fate is hidden
+     */
+    static isFateHidden(character) {
+        return game.users.some(user => !this.isGM(user)
+            && user.getFlag(MODULE_ID, "hideFate")
+            && this.isOwnCharacter(character, user));
     }
 
     /**
-     * Remove fate points from a user's character (GM only)
-     * @param {User} user - The user whose character should lose fate
-     * @param {number} [amount=1] - Amount of fate to remove
-     * @param {object} [options] - Additional options
-     * @returns {Promise<boolean>} Whether the operation succeeded
+     * Hide or show a user's characters' fate to other players
+     * @param {boolean} hidden - Whether to hide the fate
+     * @param {User} [user=game.user] - The user whose characters are meant
+     * @returns {Promise<boolean>} Whether the change was saved
      */
-    static async removeFate(user, amount = 1, options = {}) {
-        // Only GMs can remove fate
-        if (!game.user.isGM) {
-            notify("GMOnly", "warn");
+    static async setFateHidden(hidden, user = game.user) {
+        if (!user.isSelf && !game.user.isGM) {
+            notify("NoPermission", "warn");
             return false;
         }
 
-        const character = this.getPlayerCharacter(user);
-        if (!character) {
-            notify("NoCharacter", "warn");
+        try {
+            await user.setFlag(MODULE_ID, "hideFate", Boolean(hidden));
+            return true;
+        } catch (error) {
+            log("error", "Failed to change fate visibility", error);
+            notify("UpdateFailed", "error");
             return false;
         }
+    }
 
-        const fatePoints = this.getFatePoints(user);
-        if (!fatePoints) {
-            notify("NoFateData", "warn");
-            return false;
-        }
+    /**
+     * Get how much of the Ruin pool players see
+     * @returns {string} One of RUIN_VISIBILITY
+     */
+    static getRuinVisibility() {
+        return getSetting(SETTINGS_KEYS.RUIN_VISIBILITY) ?? RUIN_VISIBILITY.EXACT;
+    }
 
-        // Calculate new value, minimum 0
-        const newValue = Math.max(0, fatePoints.current - amount);
+    /**
+     * Check if a user may see the Ruin pool, exactly or as a tier
+     * @param {User} [user=game.user] - The user looking at it
+     * @returns {boolean} Whether Ruin is shown to the user
+     */
+    static canSeeRuin(user = game.user) {
+        if (this.canSeeExactRuin(user)) return true;
+        return this.getRuinVisibility() === RUIN_VISIBILITY.VAGUE && Permissions.has(user, PERMISSIONS.SEE_RUIN);
+    }
 
-        try {
-            // Update the character sheet - the updateActor hook will handle the chat message
-            await character.update({
-                "system.fate.value": newValue
-            });
+    /**
+     * Check if a user may see the exact Ruin value
+     * Users who manage Ruin always do; everyone else only when the visibility is "exact"
+     * @param {User} [user=game.user] - The user looking at it
+     * @returns {boolean} Whether the exact value is shown to the user
+     */
+    static canSeeExactRuin(user = game.user) {
+        if (Permissions.has(user, PERMISSIONS.MANAGE_RUIN)) return true;
+        return this.getRuinVisibility() === RUIN_VISIBILITY.EXACT && Permissions.has(user, PERMISSIONS.SEE_RUIN);
+    }
 
-            log("info", "Fate point removed", { 
-                user: user.name, 
-                character: character.name, 
-                amount, 
-                newValue 
-            });
+    /**
+     * Get the vague tier of the Ruin pool
+     * @param {{current: number, max: number}} [ruinData] - The Ruin pool, defaults to the current one
+     * @returns {string} One of RUIN_TIERS
+     */
+    static getRuinTier(ruinData = this.getRuinPoints()) {
+        if (ruinData.max <= 0) return RUIN_TIERS[0];
+        const index = Math.floor((ruinData.current / ruinData.max) * RUIN_TIERS.length);
+        return RUIN_TIERS[Math.clamp(index, 0, RUIN_TIERS.length - 1)];
+    }
 
-            return true;
-        } catch (error) {
-            log("error", "Failed to remove fate point", error);
-            notify("UpdateFailed", "error");
-            return false;
-        }
+    /**
+     * Get who should receive a chat message about a character's fate
+     * @param {Actor|null} actor - The character, or null for the party pool
+     * @returns {string[]} The IDs of the users to whisper to, or an empty list for a public message
+     * @private
+     */
+    static _getFateRecipients(actor) {
+        return this._getRecipients(user => this.canSeeFate(actor, user));
     }
 
     /**
-     * Check if a user can use fate points
-     * @param {User} user - The user to check
-     * @returns {boolean} Whether the user can use fate
+     * Get who should receive a chat message about the Ruin pool
+     * @returns {string[]} The IDs of the users to whisper to, or an empty list for a public message
      * @private
      */
-    static _canUseFate(user) {
-        // GMs use Ruin, not Fate from characters
-        if (this.isGM(user)) return false;
-        
-        // Check if players are allowed to use fate from UI
-        if (!getSetting(SETTINGS_KEYS.ALLOW_PLAYER_USE)) {
-            // Only GMs can use player fate if setting is disabled
-            return game.user.isGM;
-        }
+    static _getRuinRecipients() {
+        return this._getRecipients(user => this.canSeeExactRuin(user));
+    }
 
-        // Players can only use their own fate, GMs can use anyone's
-        return user.id === game.user.id || game.user.isGM;
+    /**
+     * Build a chat message whisper list
+     * @param {function(User): boolean} canSee - Whether a user may read the message
+     * @returns {string[]} The IDs of the users to whisper to, or an empty list when everyone may read it
+     * @private
+     */
+    static _getRecipients(canSee) {
+        const recipients = game.users.filter(canSee);
+        if (recipients.length === game.users.size) return [];
+        return recipients.map(user => user.id);
     }
 
     /**
@@ -373,86 +1922,186 @@ export class FatePointManager {
      * @private
      */
     static async _sendFateChatMessage(action, user, character, amount, newValue, maxValue) {
-        let localeKey;
-        switch (action) {
-            case "used":
-                localeKey = "Chat.UsedFate";
-                break;
-            case "added":
-                localeKey = "Chat.AddedFate";
-                break;
-            case "removed":
-                localeKey = "Chat.RemovedFate";
-                break;
-            default:
-                return;
-        }
+        if (!["used", "added", "removed"].includes(action)) return;
 
-        const content = format(localeKey, {
-            characterName: character.name,
-            amount: amount,
-            remaining: newValue,
-            current: newValue,
-            max: maxValue
+        const difference = action === "added" ? amount : -amount;
+        await this.sendFateChangeMessage(character, newValue - difference, newValue, maxValue, difference, {
+            reason: action,
+            user
         });
+    }
 
-        await ChatMessage.create({
-            content: `<div class="impmal-shared-fate-message fate-message">${content}</div>`,
-            speaker: { alias: character.name },
-            type: CONST.CHAT_MESSAGE_STYLES.OTHER
-        });
+    /**
+     * Find the chat card posted for a Fate or Ruin change
+     * @param {string} operationId - The operation ID of the change, as recorded in the ledger and hooks
+     * @returns {ChatMessage|null} The chat card, if one was posted and still exists
+     */
+    static getChangeMessage(operationId) {
+        if (!operationId) return null;
+        return game.messages.find(message => message.getFlag(MODULE_ID, "operationId") === operationId) ?? null;
     }
 
     /**
-     * Send a chat message when Fate changes on a character sheet (from any source)
-     * @param {Actor} actor - The character actor
+     * Send a chat card when Fate changes on a character sheet (from any source) or in the party pool
+     * Who receives it follows the audience setting for spent, gained or lost Fate.
+     * The card is spoken by the character and flagged with the change, so it can be traced back
+     * to the ledger entry; a change that already has a card is not posted twice
+     * @param {Actor|null} actor - The character actor, or null for the party pool
      * @param {number} oldValue - Previous fate value
      * @param {number} newValue - New fate value
      * @param {number} maxValue - Maximum fate value
      * @param {number} difference - The change amount (positive = gained, negative = lost)
+     * @param {object} [options] - Additional options
+     * @param {string} [options.reason] - Why the fate changed; losses with the reason "used" are spends
+     * @param {User} [options.user=game.user] - The user who made the change
+     * @param {string} [options.operationId] - The operation ID, stored so the message can be struck through on undo
+     * @param {string} [options.use] - What the fate was spent on
+     * @param {string} [options.rollMessageId] - The chat message of the roll the fate applied to
+     * @param {number} [options.oldMax] - The maximum before the change, when the maximum changed too
      */
-    static async sendFateChangeMessage(actor, oldValue, newValue, maxValue, difference) {
-        const amount = Math.abs(difference);
+    static async sendFateChangeMessage(actor, oldValue, newValue, maxValue, difference, options = {}) {
+        const { reason = null, user = game.user, operationId = null, use = null, rollMessageId = null, oldMax = maxValue } = options;
+        const maxDifference = maxValue - oldMax;
+        let amount = Math.abs(difference);
         
         let localeKey;
-        if (difference > 0) {
+        let category;
+        let action = null;
+        if (reason === "burned") {
+            // A burn is reported by what it cost the maximum
+            localeKey = "Chat.BurnedFate";
+            category = CHAT_CATEGORIES.SPENT;
+            action = "burned";
+            amount = Math.abs(maxDifference);
+        } else if (maxDifference) {
+            localeKey = maxDifference > 0 ? "Chat.RaisedFateMax" : "Chat.LoweredFateMax";
+            category = maxDifference > 0 ? CHAT_CATEGORIES.GAINED : CHAT_CATEGORIES.LOST;
+            action = maxDifference > 0 ? "maxRaised" : "maxLowered";
+            amount = Math.abs(maxDifference);
+        } else if (difference > 0) {
             localeKey = "Chat.FateIncreased";
+            category = CHAT_CATEGORIES.GAINED;
         } else if (difference < 0) {
-            localeKey = "Chat.FateDecreased";
+            localeKey = reason === "used" ? "Chat.UsedFate" : "Chat.FateDecreased";
+            category = reason === "used" ? CHAT_CATEGORIES.SPENT : CHAT_CATEGORIES.LOST;
         } else {
             return; // No change
         }
 
-        const content = format(localeKey, {
-            characterName: actor.name,
-            amount: amount,
-            oldValue: oldValue,
-            newValue: newValue,
-            current: newValue,
-            remaining: newValue,
-            max: maxValue
+        if (this.getChangeMessage(operationId)) {
+            log("debug", "Chat card already posted for this change", { operationId });
+            return;
+        }
+
+        const whisper = this._getChatWhisper(category, this._getFateRecipients(actor), user);
+        if (!whisper) return;
+
+        const name = actor?.name ?? localize("PartyFate");
+        const content = await this._renderChatCard({
+            cssClass: "fate-message",
+            category,
+            name,
+            img: actor?.img ?? FATE_ICON,
+            action: localize(`Chat.Actions.${action ?? category}`),
+            oldValue,
+            newValue,
+            max: maxValue,
+            text: format(localeKey, {
+                characterName: Handlebars.escapeExpression(name),
+                amount: amount,
+                oldValue: oldValue,
+                newValue: newValue,
+                current: newValue,
+                remaining: newValue,
+                max: maxValue,
+                oldMax
+            }),
+            // Record what the fate was spent on and which roll it applied to
+            use: use ? format("Chat.FateUse", { use: localize(`FateUses.${use}`) }) : null,
+            rollMessageId
+        });
+
+        await ChatMessage.create({
+            content,
+            speaker: actor ? ChatMessage.getSpeaker({ actor }) : { alias: name },
+            whisper,
+            type: CONST.CHAT_MESSAGE_STYLES.OTHER,
+            flags: {
+                [MODULE_ID]: {
+                    type: actor ? "fate" : "party",
+                    actorId: actor?.id ?? null,
+                    userId: user.id,
+                    oldValue,
+                    newValue,
+                    ...(maxDifference ? { oldMax, newMax: maxValue } : {}),
+                    operationId,
+                    use,
+                    rollMessageId,
+                    category
+                }
+            }
         });
+    }
+
+    /**
+     * Send the summary chat message for a session start
+     * Sent to the audience for gained Fate
+     * @param {number} session - The new session number
+     * @param {{actor: Actor, oldValue: number, newValue: number}[]} refreshed - The characters whose Fate was refreshed
+     * @param {{current: number, max: number}} ruinData - The Ruin pool after the reset
+     * @param {{current: number, max: number}|null} partyFate - The party pool before its refresh, if it is in use
+     * @private
+     */
+    static async _sendSessionChatMessage(session, refreshed, ruinData, partyFate) {
+        const whisper = this._getChatWhisper(CHAT_CATEGORIES.GAINED, []);
+        if (!whisper) return;
+
+        // A public card leaves out whatever not everyone may see
+        const isPublic = !whisper.length;
+        const rows = refreshed.filter(({ actor }) => !isPublic || !this._getFateRecipients(actor).length).map(({ actor, oldValue, newValue }) => `<li>${format("Chat.SessionFate", {
+            characterName: Handlebars.escapeExpression(actor.name),
+            oldValue,
+            newValue
+        })}</li>`).join("");
+
+        const content = [
+            `<strong>${format("Chat.SessionStarted", { session })}</strong>`,
+            rows ? `<ul class="session-fate">${rows}</ul>` : "",
+            partyFate ? `<div>${format("Chat.SessionPartyFate", { current: partyFate.max, max: partyFate.max })}</div>` : "",
+            isPublic && this._getRuinRecipients().length ? "" : `<div>${format("Chat.SessionRuin", { current: ruinData.current, max: ruinData.max })}</div>`
+        ].join("");
 
         await ChatMessage.create({
-            content: `<div class="impmal-shared-fate-message fate-message">${content}</div>`,
-            speaker: { alias: actor.name },
-            type: CONST.CHAT_MESSAGE_STYLES.OTHER
+            content: `<div class="impmal-shared-fate-message fate-message session-message">${content}</div>`,
+            speaker: { alias: "GM" },
+            whisper,
+            type: CONST.CHAT_MESSAGE_STYLES.OTHER,
+            flags: { [MODULE_ID]: { session } }
         });
     }
 
     /**
-     * Send a chat message for Ruin operations
+     * Send a chat card for Ruin operations
+     * Who receives it follows the Ruin chat audience setting
      * @param {"used"|"added"|"removed"} action - The action type
      * @param {number} amount - Amount changed
      * @param {number} newValue - New value
      * @param {number} maxValue - Maximum value
+     * @param {object} [options] - Additional options
+     * @param {User} [options.user=game.user] - The user who made the change
+     * @param {string|null} [options.pool=null] - The GM holding the pool, or null for the shared pool
+     * @param {string} [options.operationId] - The operation ID, stored so the message can be struck through on undo
+     * @param {object} [options.expenditure] - The Ruin catalogue entry the points were spent on
+     * @param {string} [options.detail] - Why the Ruin changed
      * @private
      */
-    static async _sendRuinChatMessage(action, amount, newValue, maxValue) {
+    static async _sendRuinChatMessage(action, amount, newValue, maxValue, options = {}) {
+        const { user = game.user, pool = null, operationId = null, expenditure = null, detail = null } = options;
+
         let localeKey;
         switch (action) {
             case "used":
-                localeKey = "Chat.UsedRuin";
+                localeKey = expenditure ? "Chat.RuinExpenditure" : "Chat.UsedRuin";
                 break;
             case "added":
                 localeKey = "Chat.AddedRuin";
@@ -464,17 +2113,116 @@ export class FatePointManager {
                 return;
         }
 
-        const content = format(localeKey, {
-            amount: amount,
-            remaining: newValue,
-            current: newValue,
-            max: maxValue
+        const whisper = this._getChatWhisper(CHAT_CATEGORIES.RUIN, this._getRuinRecipients(), user);
+        if (!whisper) return;
+
+        const oldValue = action === "added" ? newValue - amount : newValue + amount;
+        const content = await this._renderChatCard({
+            cssClass: "ruin-message",
+            category: CHAT_CATEGORIES.RUIN,
+            name: this.getRuinPoolName(pool),
+            img: null,
+            action: localize(`Chat.Actions.ruin.${action}`),
+            oldValue,
+            newValue,
+            max: maxValue,
+            text: format(localeKey, {
+                amount: amount,
+                remaining: newValue,
+                current: newValue,
+                max: maxValue,
+                name: expenditure ? Handlebars.escapeExpression(game.i18n.localize(expenditure.name)) : ""
+            }),
+            // Describe the complication to the players
+            description: expenditure?.description ? game.i18n.localize(expenditure.description) : null,
+            detail
         });
 
         await ChatMessage.create({
-            content: `<div class="impmal-shared-fate-message ruin-message">${content}</div>`,
+            content,
             speaker: { alias: "GM" },
-            type: CONST.CHAT_MESSAGE_STYLES.OTHER
+            whisper,
+            type: CONST.CHAT_MESSAGE_STYLES.OTHER,
+            flags: {
+                [MODULE_ID]: {
+                    type: "ruin",
+                    actorId: null,
+                    pool,
+                    userId: user.id,
+                    oldValue,
+                    newValue,
+                    operationId,
+                    expenditure: expenditure?.id ?? null,
+                    category: CHAT_CATEGORIES.RUIN
+                }
+            }
+        });
+    }
+
+    /**
+     * Work out who receives a chat card from its category's audience setting
+     * @param {string} category - One of CHAT_CATEGORIES
+     * @param {string[]} recipients - Who may see the card's contents, or an empty list for everyone
+     * @param {User} [user=game.user] - The user who made the change
+     * @returns {string[]|null} The IDs of the users to whisper to, an empty list for a public card, or null for no card
+     * @private
+     */
+    static _getChatWhisper(category, recipients, user = game.user) {
+        switch (getSetting(CHAT_AUDIENCE_SETTINGS[category])) {
+            case CHAT_AUDIENCES.NONE:
+                return null;
+            case CHAT_AUDIENCES.GM:
+                return ChatMessage.getWhisperRecipients("GM").map(gm => gm.id);
+            case CHAT_AUDIENCES.SELF:
+                return [user.id];
+            default:
+                return recipients;
+        }
+    }
+
+    /**
+     * Render a Fate or Ruin chat card
+     * @param {object} data - The card data
+     * @param {number} data.oldValue - The value before the change
+     * @param {number} data.newValue - The value after the change
+     * @param {number} data.max - The maximum value
+     * @returns {Promise<string>} The card HTML
+     * @private
+     */
+    static _renderChatCard(data) {
+        return renderTemplate("chat-card.hbs", {
+            ...data,
+            pips: this._getPips(data.oldValue, data.newValue, data.max)
         });
     }
+
+    /**
+     * Describe each pip of a before/after pip bar
+     * Above MAX_PIPS, each pip stands for several points, as on the displays, and is partly filled
+     * when only some of them are held after the change
+     * @param {number} oldValue - The value before the change
+     * @param {number} newValue - The value after the change
+     * @param {number} max - The maximum value
+     * @returns {{state: string, fill: number|null}[]} One entry per pip: its state, "filled", "gained",
+     *   "lost" or "empty", and the percentage held afterwards when it is partly filled
+     * @private
+     */
+    static _getPips(oldValue, newValue, max) {
+        const length = Math.max(max, oldValue, newValue);
+        const step = Math.ceil(length / MAX_PIPS) || 1;
+
+        const pips = [];
+        for (let start = 0; start < length; start += step) {
+            const size = Math.min(start + step, length) - start;
+            const before = Math.clamp(oldValue - start, 0, size);
+            const after = Math.clamp(newValue - start, 0, size);
+
+            let state = "empty";
+            if (after > before) state = "gained";
+            else if (after < before) state = "lost";
+            else if (after > 0) state = "filled";
+            pips.push({ state, fill: after > 0 && after < size ? Math.round(after / size * 100) : null });
+        }
+        return pips;
+    }
 }
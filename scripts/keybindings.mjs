@@ -0,0 +1,123 @@
+import { MODULE_ID, LOCALIZE_KEY, PERMISSIONS } from "./constants.mjs";
+import { FatePointManager } from "./fate-point-manager.mjs";
+import { Permissions } from "./permissions.mjs";
+import { UIHandler } from "./ui-handler.mjs";
+import { notify } from "./utils.mjs";
+
+/**
+ * Register the module's keybindings
+ * None have a default key; they are assigned under Configure Controls. They are open to every
+ * user, since who may change Fate and Ruin is up to the module's permissions, not the user's role
+ */
+export function registerKeybindings() {
+    // Spend one of the player's own Fate points
+    game.keybindings.register(MODULE_ID, "spendFate", {
+        name: `${LOCALIZE_KEY}.Keybindings.SpendFate.Name`,
+        hint: `${LOCALIZE_KEY}.Keybindings.SpendFate.Hint`,
+        editable: [],
+        onDown: () => {
+            spendOwnFate();
+            return true;
+        }
+    });
+
+    // Spend Ruin through the catalogue menu
+    game.keybindings.register(MODULE_ID, "useRuin", {
+        name: `${LOCALIZE_KEY}.Keybindings.UseRuin.Name`,
+        hint: `${LOCALIZE_KEY}.Keybindings.UseRuin.Hint`,
+        editable: [],
+        onDown: () => {
+            // Checked first so the menu doesn't open for a spend that would be refused
+            if (Permissions.has(game.user, PERMISSIONS.MANAGE_RUIN)) UIHandler.promptRuinUse();
+            else notify("NoPermission", "warn");
+            return true;
+        }
+    });
+
+    // Add or remove a Ruin point
+    game.keybindings.register(MODULE_ID, "addRuin", {
+        name: `${LOCALIZE_KEY}.Keybindings.AddRuin.Name`,
+        hint: `${LOCALIZE_KEY}.Keybindings.AddRuin.Hint`,
+        editable: [],
+        onDown: () => {
+            FatePointManager.addRuin();
+            return true;
+        }
+    });
+
+    game.keybindings.register(MODULE_ID, "removeRuin", {
+        name: `${LOCALIZE_KEY}.Keybindings.RemoveRuin.Name`,
+        hint: `${LOCALIZE_KEY}.Keybindings.RemoveRuin.Hint`,
+        editable: [],
+        onDown: () => {
+            FatePointManager.removeRuin();
+            return true;
+        }
+    });
+
+    // Add or remove a Fate point for every selected token's character
+    game.keybindings.register(MODULE_ID, "addFate", {
+        name: `${LOCALIZE_KEY}.Keybindings.AddFate.Name`,
+        hint: `${LOCALIZE_KEY}.Keybindings.AddFate.Hint`,
+        editable: [],
+        onDown: () => {
+            adjustSelectedFate(1);
+            return true;
+        }
+    });
+
+    game.keybindings.register(MODULE_ID, "removeFate", {
+        name: `${LOCALIZE_KEY}.Keybindings.RemoveFate.Name`,
+        hint: `${LOCALIZE_KEY}.Keybindings.RemoveFate.Hint`,
+        editable: [],
+        onDown: () => {
+            adjustSelectedFate(-1);
+            return true;
+        }
+    });
+}
+
+/**
+ * Spend Fate the way clicking the player's own Fate display would
+ * A selected token's character comes first, then the player's main character; without
+ * character Fate left, the party pool is used when it is enabled
+ * @returns {Promise<void>}
+ */
+async function spendOwnFate() {
+    const selected = canvas.tokens?.controlled.map(token => FatePointManager.resolveCharacter(token)) ?? [];
+    const character = FatePointManager.usesCharacterFate()
+        ? [...selected, FatePointManager.getPlayerCharacter(game.user)]
+            .find(actor => actor && FatePointManager.isOwnCharacter(actor, game.user))
+        : null;
+
+    const hasCharacterFate = (FatePointManager.getFatePoints(character)?.current ?? 0) > 0;
+    if (!hasCharacterFate && FatePointManager.usesPartyFate()) {
+        await UIHandler.promptFateUse(null);
+        return;
+    }
+
+    if (!character) {
+        notify("NoCharacter", "warn");
+        return;
+    }
+
+    await UIHandler.promptFateUse(character);
+}
+
+/**
+ * Add or remove Fate for the characters of the selected tokens, in one batch
+ * @param {number} delta - The change for each character
+ * @returns {Promise<void>}
+ */
+async function adjustSelectedFate(delta) {
+    const characters = new Set(canvas.tokens?.controlled
+        .map(token => FatePointManager.resolveCharacter(token))
+        .filter(actor => actor));
+
+    if (!characters.size) {
+        notify("NoTokenSelected", "warn");
+        return;
+    }
+
+    await FatePointManager.adjustFate([...characters].map(target => ({ target, delta })));
+}
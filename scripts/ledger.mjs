@@ -0,0 +1,292 @@
+import { SETTINGS_KEYS, FATE_USES } from "./constants.mjs";
+import { getSetting, setSetting } from "./settings.mjs";
+import { SocketHandler } from "./socket-handler.mjs";
+import { UndoManager } from "./undo-manager.mjs";
+import { FatePointManager } from "./fate-point-manager.mjs";
+import { Permissions } from "./permissions.mjs";
+import { log, localize, format } from "./utils.mjs";
+
+/**
+ * Columns written when exporting the ledger as CSV
+ * @type {string[]}
+ */
+const CSV_COLUMNS = ["timestamp", "session", "userName", "type", "targetName", "oldValue", "newValue", "delta", "oldMax", "newMax", "reason", "use", "detail"];
+
+/**
+ * Records every Fate and Ruin change in a world-scoped ledger
+ * Entries are written by the active GM's client, for the changes it applied or saw itself. Other
+ * clients only relay entries for changes made while no GM was connected, and those are stored in
+ * the order they were made if their user may change the target
+ */
+export class Ledger {
+
+    /**
+     * Pending writes, chained so concurrent entries are not lost
+     * @type {Promise<void>}
+     * @private
+     */
+    static _writeQueue = Promise.resolve();
+
+    /**
+     * Initialize the ledger
+     */
+    static initialize() {
+        SocketHandler.registerHandler("recordLedger", (payload, requester) => this._handleRecordRequest(payload, requester));
+        log("info", "Ledger initialized");
+    }
+
+    /**
+     * Get all ledger entries, oldest first
+     * @returns {object[]} A copy of the stored entries
+     */
+    static getEntries() {
+        return foundry.utils.deepClone(getSetting(SETTINGS_KEYS.LEDGER) ?? []);
+    }
+
+    /**
+     * Get the ledger entries a user may see, oldest first
+     * Follows the same rules as the chat messages: hidden Fate and hidden Ruin are left out
+     * @param {User} [user=game.user] - The user reading the ledger
+     * @returns {object[]} A copy of the visible entries
+     */
+    static getVisibleEntries(user = game.user) {
+        return this.getEntries().filter(entry => this._canSeeEntry(entry, user));
+    }
+
+    /**
+     * Check if a user may see a ledger entry
+     * @param {object} entry - The ledger entry
+     * @param {User} user - The user reading the ledger
+     * @returns {boolean} Whether the entry is visible
+     * @private
+     */
+    static _canSeeEntry(entry, user) {
+        if (entry.type === "ruin") return FatePointManager.canSeeExactRuin(user);
+        if (entry.type === "party") return true;
+
+        // Deleted characters can no longer be checked, so only GMs see them
+        const actor = game.actors.get(entry.actorId);
+        return actor ? FatePointManager.canSeeFate(actor, user) : user.isGM;
+    }
+
+    /**
+     * Record a Fate or Ruin change
+     * @param {object} data - The change to record
+     * @param {"fate"|"party"|"ruin"} data.type - Whether a character's Fate, the party Fate pool or the Ruin pool changed
+     * @param {Actor} [data.actor] - The character whose Fate changed
+     * @param {string|null} [data.pool] - The GM whose Ruin pool changed, when each GM has their own
+     * @param {number} data.oldValue - The value before the change
+     * @param {number} data.newValue - The value after the change
+     * @param {string} data.reason - Why the value changed (e.g. "used", "added", "sheet")
+     * @param {string} [data.userId] - The user the change was made for, if a GM applied it on their behalf
+     * @param {string} [data.operationId] - The operation ID linking the entry to its chat message
+     * @param {string} [data.use] - What spent fate was used for
+     * @param {string} [data.detail] - Free-text detail, such as the Ruin expenditure chosen
+     * @param {number} [data.oldMax] - The character's maximum before the change, if it changed
+     * @param {number} [data.newMax] - The character's maximum after the change, if it changed
+     * @returns {Promise<boolean>} Whether the entry was stored, or queued for when a GM connects
+     */
+    static async record({ type, actor = null, pool = null, oldValue, newValue, reason, userId, operationId = null, use = null, detail = null, oldMax = null, newMax = null }) {
+        const data = {
+            type,
+            actorId: actor?.id ?? null,
+            actorUuid: actor?.uuid ?? null,
+            actorName: actor?.name ?? null,
+            pool,
+            timestamp: Date.now(),
+            oldValue,
+            newValue,
+            reason,
+            userId,
+            operationId,
+            use,
+            detail,
+            oldMax,
+            newMax
+        };
+
+        // The active GM records what it applied or saw itself, and only those entries can be undone
+        if (game.users.activeGM?.isSelf) {
+            const entry = this._createEntry(data, (userId && game.users.get(userId)) || game.user);
+            await this._append(entry);
+            UndoManager.push(entry);
+            return true;
+        }
+
+        const response = await SocketHandler.requestGM("recordLedger", data, { queue: true });
+
+        if (response.error === "RequestQueued") return true;
+        if (!response.success) {
+            log("warn", "Failed to record ledger entry", { type, reason, error: response.error });
+        }
+        return response.success;
+    }
+
+    /**
+     * Remove all ledger entries (GM only)
+     * @returns {Promise<void>}
+     */
+    static async clear() {
+        if (!game.user.isGM) return;
+
+        this._writeQueue = this._writeQueue.then(async () => {
+            await setSetting(SETTINGS_KEYS.LEDGER, []);
+            log("info", "Ledger cleared");
+        }).catch(error => {
+            log("error", "Failed to clear ledger", error);
+        });
+
+        await this._writeQueue;
+    }
+
+    /**
+     * Serialize entries as CSV
+     * @param {object[]} entries - The entries to export
+     * @returns {string} The CSV text
+     */
+    static toCSV(entries) {
+        const escape = value => {
+            const text = String(value ?? "");
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const rows = entries.map(entry => CSV_COLUMNS.map(column => {
+            if (column === "timestamp") return escape(new Date(entry.timestamp).toISOString());
+            if (column === "targetName") return escape(this.getTargetName(entry));
+            return escape(entry[column]);
+        }).join(","));
+
+        return [CSV_COLUMNS.join(","), ...rows].join("\n");
+    }
+
+    /**
+     * Serialize entries as JSON
+     * @param {object[]} entries - The entries to export
+     * @returns {string} The JSON text
+     */
+    static toJSON(entries) {
+        return JSON.stringify(entries, null, 2);
+    }
+
+    /**
+     * Get the display name of an entry's target
+     * @param {object} entry - The ledger entry
+     * @returns {string} The character name, or the Ruin pool label
+     */
+    static getTargetName(entry) {
+        if (entry.type === "ruin") return entry.poolName ?? localize("RuinPoints");
+        if (entry.type === "party") return localize("PartyFate");
+        return game.actors.get(entry.actorId)?.name ?? entry.actorName ?? "Unknown";
+    }
+
+    /**
+     * Get the session an entry belongs to
+     * @param {object} entry - The ledger entry
+     * @returns {number} The session number, 0 for changes before the first session was started
+     */
+    static getSession(entry) {
+        return entry.session ?? 0;
+    }
+
+    /**
+     * Get a display label for a session number
+     * @param {number} session - The session number
+     * @returns {string} The label
+     */
+    static getSessionLabel(session) {
+        return session ? format("Ledger.SessionNumber", { session }) : localize("Ledger.NoSession");
+    }
+
+    /**
+     * Store an entry relayed to the active GM
+     * Relayed entries come from changes made while no GM was connected and arrive together, in the
+     * order they were made, once a GM connects. Each is stored as history if the requester may change
+     * the target, whatever the target holds by then, and none goes onto the undo stack
+     * @param {object} payload - The entry data
+     * @param {User} requester - The user who recorded the change
+     * @returns {Promise<{success: boolean, error?: string}>} The result
+     * @private
+     */
+    static async _handleRecordRequest(payload, requester) {
+        const { type, actorUuid, pool, oldValue, newValue } = payload;
+
+        if (!["fate", "party", "ruin"].includes(type)) return { success: false, error: "UpdateFailed" };
+        if (!Number.isFinite(oldValue) || !Number.isFinite(newValue)) return { success: false, error: "UpdateFailed" };
+
+        const actor = type === "fate" ? FatePointManager.resolveCharacter(actorUuid) : null;
+        if (type === "fate") {
+            const allowed = actor && (FatePointManager.isOwnCharacter(actor, requester) || Permissions.canAdjustFate(requester, newValue - oldValue));
+            if (!allowed) return { success: false, error: "NoPermission" };
+        } else if (!requester.isGM) {
+            // Only GMs can write the Ruin and party Fate settings
+            return { success: false, error: "NoPermission" };
+        }
+
+        // Only a GM may attribute a change to another user
+        const user = (requester.isGM && game.users.get(payload.userId)) || requester;
+        await this._append(this._createEntry({ ...payload, actorId: actor?.id ?? null, actorUuid: actor?.uuid ?? null, actorName: actor?.name ?? null }, user));
+
+        return { success: true };
+    }
+
+    /**
+     * Build a ledger entry from recorded change data
+     * @param {object} data - The change data, as gathered by record
+     * @param {User} user - The user the change is attributed to
+     * @returns {object} The entry
+     * @private
+     */
+    static _createEntry(data, user) {
+        const { type, actorId, actorUuid, actorName, pool, timestamp, oldValue, newValue, reason, operationId, use, detail, oldMax, newMax } = data;
+
+        // Entries queued while no GM was connected keep the time of the change
+        const now = Date.now();
+        const poolUser = type === "ruin" && pool ? game.users.get(pool) : null;
+        const maxChanged = type === "fate" && Number.isFinite(oldMax) && Number.isFinite(newMax) && oldMax !== newMax;
+
+        return {
+            id: foundry.utils.randomID(),
+            timestamp: Number.isFinite(timestamp) ? Math.min(timestamp, now) : now,
+            session: getSetting(SETTINGS_KEYS.SESSION_NUMBER) ?? 0,
+            userId: user.id,
+            userName: user.name,
+            type,
+            actorId: type === "fate" ? actorId : null,
+            actorUuid: type === "fate" ? actorUuid ?? null : null,
+            actorName: type === "fate" ? actorName : null,
+            pool: poolUser?.isGM ? poolUser.id : null,
+            poolName: poolUser?.isGM ? FatePointManager.getRuinPoolName(poolUser.id) : null,
+            oldValue,
+            newValue,
+            delta: newValue - oldValue,
+            oldMax: maxChanged ? oldMax : null,
+            newMax: maxChanged ? newMax : null,
+            reason: String(reason ?? ""),
+            operationId: operationId ?? null,
+            use: Object.values(FATE_USES).includes(use) ? use : null,
+            detail: detail ? String(detail) : null
+        };
+    }
+
+    /**
+     * Append an entry to the stored ledger, trimming it to the configured size
+     * @param {object} entry - The entry to append
+     * @returns {Promise<void>}
+     * @private
+     */
+    static _append(entry) {
+        this._writeQueue = this._writeQueue.then(async () => {
+            const entries = this.getEntries();
+            entries.push(entry);
+
+            const maxEntries = getSetting(SETTINGS_KEYS.LEDGER_MAX_ENTRIES);
+            await setSetting(SETTINGS_KEYS.LEDGER, maxEntries > 0 ? entries.slice(-maxEntries) : entries);
+
+            log("debug", "Ledger entry recorded", entry);
+        }).catch(error => {
+            log("error", "Failed to write ledger entry", error);
+        });
+
+        return this._writeQueue;
+    }
+}
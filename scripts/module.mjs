@@ -3,100 +3,242 @@
  * Syncs player Fate points from character sheets to a shared display in the player list
  */
 
-import { MODULE_ID, SETTINGS_KEYS } from "./constants.mjs";
-import { registerSettings, getSetting } from "./settings.mjs";
+import { MODULE_ID, SETTINGS_KEYS, HOOKS } from "./constants.mjs";
+import { registerSettings, migrateSettings, getSetting, setSetting } from "./settings.mjs";
+import { registerKeybindings } from "./keybindings.mjs";
 import { FatePointManager } from "./fate-point-manager.mjs";
+import { SocketHandler } from "./socket-handler.mjs";
+import { Ledger } from "./ledger.mjs";
+import { LedgerViewer } from "./apps/ledger-viewer.mjs";
+import { FateTracker } from "./apps/fate-tracker.mjs";
+import { UndoManager } from "./undo-manager.mjs";
 import { UIHandler } from "./ui-handler.mjs";
+import { TestIntegration } from "./test-integration.mjs";
+import { RuinAutomation } from "./ruin-automation.mjs";
 import { log } from "./utils.mjs";
 
 // Initialize module
 Hooks.once("init", () => {
     log("info", "Initializing Imperium Maledictum Shared Fate");
     registerSettings();
+    registerKeybindings();
+
+    // Add Fate and undo/redo controls to chat cards (the HTMLElement hook replaces the jQuery one in v13)
+    const renderChatHook = game.release.generation >= 13 ? "renderChatMessageHTML" : "renderChatMessage";
+    Hooks.on(renderChatHook, (message, html) => {
+        UIHandler.onRenderChatMessage(message, html instanceof HTMLElement ? html : html[0]);
+    });
+
+    // Spend Fate on a test from the chat log context menu
+    const chatContextHook = game.release.generation >= 13 ? "getChatMessageContextOptions" : "getChatLogEntryContext";
+    Hooks.on(chatContextHook, (app, options) => {
+        options.push(...TestIntegration.getContextOptions());
+    });
 });
 
 Hooks.once("ready", () => {
     log("info", "Module Ready");
     
+    // Listen for requests relayed to the GM
+    SocketHandler.initialize();
+    
+    // Bring settings from older versions up to date
+    migrateSettings();
+    
+    // Start recording Fate/Ruin changes
+    Ledger.initialize();
+    
     // Initialize the fate point manager
     FatePointManager.initialize();
     
+    // Restore the floating tracker if this client had it open
+    if (getSetting(SETTINGS_KEYS.SHOW_TRACKER)) {
+        FateTracker.open();
+    }
+    
+    // Apply changes players made while no GM was connected
+    SocketHandler.processQueue();
+    
     // Register API
     game.modules.get(MODULE_ID).api = {
         useFate: FatePointManager.useFate.bind(FatePointManager),
+        addFate: FatePointManager.addFate.bind(FatePointManager),
+        removeFate: FatePointManager.removeFate.bind(FatePointManager),
+        setFate: FatePointManager.setFate.bind(FatePointManager),
+        adjustFate: FatePointManager.adjustFate.bind(FatePointManager),
+        burnFate: FatePointManager.burnFate.bind(FatePointManager),
+        adjustFateMax: FatePointManager.adjustFateMax.bind(FatePointManager),
         getFatePoints: FatePointManager.getFatePoints.bind(FatePointManager),
+        resolveCharacter: FatePointManager.resolveCharacter.bind(FatePointManager),
         getPlayerCharacter: FatePointManager.getPlayerCharacter.bind(FatePointManager),
+        getPlayerCharacters: FatePointManager.getPlayerCharacters.bind(FatePointManager),
+        getTrackedActorTypes: FatePointManager.getTrackedActorTypes.bind(FatePointManager),
+        getTrackedNPCs: FatePointManager.getTrackedNPCs.bind(FatePointManager),
         getRuinPoints: FatePointManager.getRuinPoints.bind(FatePointManager),
         useRuin: FatePointManager.useRuin.bind(FatePointManager),
         addRuin: FatePointManager.addRuin.bind(FatePointManager),
         removeRuin: FatePointManager.removeRuin.bind(FatePointManager),
+        setRuin: FatePointManager.setRuin.bind(FatePointManager),
+        getRuinPools: FatePointManager.getRuinPools.bind(FatePointManager),
+        getFateMode: FatePointManager.getFateMode.bind(FatePointManager),
+        getPartyFate: FatePointManager.getPartyFate.bind(FatePointManager),
+        getRuinVisibility: FatePointManager.getRuinVisibility.bind(FatePointManager),
+        getRuinTier: FatePointManager.getRuinTier.bind(FatePointManager),
+        isFateHidden: FatePointManager.isFateHidden.bind(FatePointManager),
+        setFateHidden: FatePointManager.setFateHidden.bind(FatePointManager),
+        usePartyFate: FatePointManager.usePartyFate.bind(FatePointManager),
+        addPartyFate: FatePointManager.addPartyFate.bind(FatePointManager),
+        removePartyFate: FatePointManager.removePartyFate.bind(FatePointManager),
+        setPartyFate: FatePointManager.setPartyFate.bind(FatePointManager),
+        getLedger: Ledger.getVisibleEntries.bind(Ledger),
+        getChangeMessage: FatePointManager.getChangeMessage.bind(FatePointManager),
+        openLedger: () => new LedgerViewer().render({ force: true }),
+        startSession: FatePointManager.startSession.bind(FatePointManager),
+        getSessionNumber: FatePointManager.getSessionNumber.bind(FatePointManager),
+        undo: UndoManager.undo.bind(UndoManager),
+        redo: UndoManager.redo.bind(UndoManager),
+        toggleTracker: (show = !getSetting(SETTINGS_KEYS.SHOW_TRACKER)) => setSetting(SETTINGS_KEYS.SHOW_TRACKER, show),
         refresh: UIHandler.refresh.bind(UIHandler)
     };
 });
 
 // Track fate changes before update to compare
 Hooks.on("preUpdateActor", (actor, changes, options, userId) => {
-    // Only track character actors with fate changes
-    if (actor.type !== "character") return;
-    if (!foundry.utils.hasProperty(changes, "system.fate.value")) return;
-    
-    // Store the old fate value in options so we can compare after update
-    const oldValue = actor.system?.fate?.value ?? 0;
-    options._impmalSharedFate = {
-        oldFateValue: oldValue,
-        actorId: actor.id
+    // Only track actors of a tracked type with changes to their fate or its maximum
+    const config = FatePointManager.getFateConfig(actor);
+    if (!config || ![config.value, config.max].some(path => foundry.utils.hasProperty(changes, path))) return;
+    
+    // Store the old fate values in options so we can compare after update
+    // Any reason supplied by FatePointManager is kept; sheet edits have none
+    // Batch updates share one options object, so values are keyed by actor
+    const { current: oldValue, max: oldMax } = FatePointManager.getFatePoints(actor) ?? { current: 0, max: 0 };
+    const tracking = options._impmalSharedFate ??= {};
+    tracking.actors ??= {};
+    tracking.actors[actor.id] = {
+        oldValue,
+        oldMax,
+        operationId: foundry.utils.randomID()
     };
     
-    log("debug", "Tracking fate change", { actorId: actor.id, oldValue });
+    log("debug", "Tracking fate change", { actorId: actor.id, oldValue, oldMax });
 });
 
-// Detect fate changes and post chat messages
+// Detect fate changes, record them in the ledger and post chat messages
 Hooks.on("updateActor", async (actor, changes, options, userId) => {
+    // Ownership decides which characters are listed under each player
+    if (FatePointManager.getFateConfig(actor) && "ownership" in changes) {
+        UIHandler.refresh();
+    }
+
     // Check if we were tracking this actor's fate
-    if (!options._impmalSharedFate) return;
-    if (options._impmalSharedFate.actorId !== actor.id) return;
+    const tracked = options._impmalSharedFate?.actors?.[actor.id];
+    if (!tracked) return;
     
     // Get the new fate value
-    const newValue = actor.system?.fate?.value ?? 0;
-    const oldValue = options._impmalSharedFate.oldFateValue;
-    const maxValue = actor.system?.fate?.max ?? 0;
+    const { current: newValue, max: maxValue } = FatePointManager.getFatePoints(actor) ?? { current: 0, max: 0 };
+    const { oldValue, oldMax, operationId } = tracked;
     
     // Skip if no actual change
-    if (newValue === oldValue) return;
+    if (newValue === oldValue && maxValue === oldMax) return;
+
+    // Every client animates the change on its displays
+    UIHandler.noteFateChange(actor, newValue, oldValue);
+    
+    // Maximums are only reported when they changed
+    const maxChange = maxValue === oldMax ? {} : { oldMax, newMax: maxValue };
     
     log("debug", "Fate changed on actor", { 
         actorId: actor.id, 
         actorName: actor.name,
         oldValue, 
         newValue,
-        difference: newValue - oldValue
+        difference: newValue - oldValue,
+        ...maxChange
     });
     
-    // Only the user who made the change should send the chat message to avoid duplicates
-    if (userId !== game.user.id) {
-        UIHandler.refresh();
-        return;
+    const { reason = "sheet", userId: actingUserId, use, rollMessageId } = options._impmalSharedFate;
+    
+    // Let other modules react to every Fate change, including sheet edits, on every client
+    Hooks.callAll(HOOKS.FATE_CHANGED, actor, game.users.get(actingUserId ?? userId) ?? null, {
+        oldValue,
+        newValue,
+        reason,
+        use: use ?? null,
+        operationId,
+        ...maxChange
+    });
+    
+    // The active GM records every change it sees, so the ledger never relies on another client's word;
+    // without a GM, the user who made the change queues the entry for when one connects
+    const activeGM = game.users.activeGM;
+    if (activeGM ? activeGM.isSelf : userId === game.user.id) {
+        await Ledger.record({
+            type: "fate",
+            actor,
+            oldValue,
+            newValue,
+            reason,
+            userId: actingUserId ?? userId,
+            operationId,
+            use,
+            ...maxChange
+        });
     }
     
-    // Check if chat messages are enabled
-    if (!getSetting(SETTINGS_KEYS.SHOW_CHAT_MESSAGES)) {
+    // Only the user who made the change sends the chat message, to avoid duplicates. Undo and redo
+    // mark the original message instead, and a session start posts one summary card; everything
+    // else follows the chat audience settings
+    if (userId !== game.user.id || ["undo", "redo", "session"].includes(reason)) {
         UIHandler.refresh();
         return;
     }
     
     // Determine the type of change and send appropriate message
     const difference = newValue - oldValue;
-    await FatePointManager.sendFateChangeMessage(actor, oldValue, newValue, maxValue, difference);
+    await FatePointManager.sendFateChangeMessage(actor, oldValue, newValue, maxValue, difference, {
+        reason,
+        user: game.users.get(actingUserId) ?? game.user,
+        operationId,
+        use,
+        rollMessageId,
+        oldMax: maxChange.oldMax
+    });
     
     // Refresh the UI
     UIHandler.refresh();
 });
 
+// Automatic Ruin gains from Fate spent by characters or from the party pool
+Hooks.on(HOOKS.FATE_CHANGED, (actor, user, { oldValue, newValue, reason }) => {
+    RuinAutomation.onFateChanged(actor, oldValue, newValue, reason);
+});
+
+// Automatic Ruin gains from test results
+Hooks.on("createChatMessage", (message, options, userId) => {
+    RuinAutomation.onCreateChatMessage(message);
+});
+
+// Automatic Ruin gains at the start of each combat round
+Hooks.on("updateCombat", (combat, changes, options, userId) => {
+    RuinAutomation.onUpdateCombat(combat, changes, options);
+});
+
+// The party pool's default maximum follows the players logged in, and Ruin sits with the active GM
+Hooks.on("userConnected", (user, connected) => {
+    if (FatePointManager.usesPartyFate() || user.isGM) UIHandler.refresh();
+
+    // A GM taking over applies the changes queued while none was connected
+    if (user.isGM && connected) SocketHandler.processQueue();
+});
+
 // Re-render when user character assignment changes
 Hooks.on("updateUser", (user, changes, options, userId) => {
     if (foundry.utils.hasProperty(changes, "character")) {
         log("debug", "User character assignment changed", { userId: user.id });
         UIHandler.refresh();
+    } else if (foundry.utils.hasProperty(changes, `flags.${MODULE_ID}.hideFate`)) {
+        log("debug", "User fate visibility changed", { userId: user.id });
+        UIHandler.refresh();
     }
 });
 
@@ -105,6 +247,24 @@ Hooks.on("renderPlayers", (app, html, data) => {
     UIHandler.onRenderPlayers(app, html, data);
 });
 
+// Render fate points on the token HUD (jQuery before v13)
+Hooks.on("renderTokenHUD", (hud, html, data) => {
+    UIHandler.onRenderTokenHUD(hud, html instanceof HTMLElement ? html : html[0]);
+});
+
+// Render fate points in character sheet headers, for both application frameworks
+Hooks.on("renderActorSheet", (app, html, data) => {
+    UIHandler.onRenderActorSheet(app);
+});
+Hooks.on("renderActorSheetV2", (app, html, context) => {
+    UIHandler.onRenderActorSheet(app);
+});
+
+// Show new characters in the player list and new NPC pools in the tracker
+Hooks.on("createActor", (actor, options, userId) => {
+    if (FatePointManager.getFateConfig(actor)) UIHandler.refresh();
+});
+
 // Handle actor deletion
 Hooks.on("deleteActor", (actor, options, userId) => {
     UIHandler.refresh();
@@ -0,0 +1,49 @@
+import { SETTINGS_KEYS, PERMISSIONS, DEFAULT_ROLE_PERMISSIONS } from "./constants.mjs";
+import { getSetting } from "./settings.mjs";
+
+/**
+ * Per-role and per-user permissions for Fate and Ruin actions
+ * A user's own entry overrides their role; Gamemasters are always allowed everything
+ */
+export class Permissions {
+
+    /**
+     * Check if a user has a permission
+     * @param {User} user - The user to check
+     * @param {string} permission - One of PERMISSIONS
+     * @returns {boolean} Whether the user is allowed the action
+     */
+    static has(user, permission) {
+        if (!user) return false;
+        if (user.role >= CONST.USER_ROLES.GAMEMASTER) return true;
+
+        const matrix = this.getMatrix();
+        const override = matrix.users[user.id]?.[permission];
+        if (typeof override === "boolean") return override;
+
+        return matrix.roles[user.role]?.[permission] ?? false;
+    }
+
+    /**
+     * Check if a user may add or remove Fate, depending on the direction of the change
+     * @param {User} user - The user to check
+     * @param {number} delta - The change; positive adds, negative removes
+     * @returns {boolean} Whether the user is allowed the change
+     */
+    static canAdjustFate(user, delta) {
+        if (delta === 0) return true;
+        return this.has(user, delta > 0 ? PERMISSIONS.ADD_FATE : PERMISSIONS.REMOVE_FATE);
+    }
+
+    /**
+     * Get the stored permission matrix, with defaults filled in for every role
+     * @returns {{roles: Record<number, Record<string, boolean>>, users: Record<string, Record<string, boolean>>}} The matrix
+     */
+    static getMatrix() {
+        const stored = getSetting(SETTINGS_KEYS.PERMISSIONS) ?? {};
+        return {
+            roles: foundry.utils.mergeObject(foundry.utils.deepClone(DEFAULT_ROLE_PERMISSIONS), stored.roles ?? {}, { inplace: false }),
+            users: foundry.utils.deepClone(stored.users ?? {})
+        };
+    }
+}
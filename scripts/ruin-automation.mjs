@@ -0,0 +1,91 @@
+import { SETTINGS_KEYS } from "./constants.mjs";
+import { getSetting } from "./settings.mjs";
+import { FatePointManager } from "./fate-point-manager.mjs";
+import { TestIntegration } from "./test-integration.mjs";
+import { log, notify, localize } from "./utils.mjs";
+
+/**
+ * Rule-driven Ruin gains, each switchable in the module settings
+ * Rules are evaluated on the active GM's client only, so each event grants Ruin once
+ */
+export class RuinAutomation {
+
+    /**
+     * Check if this client evaluates the automation rules
+     * @returns {boolean} Whether this is the active GM
+     * @private
+     */
+    static get _isResponsible() {
+        return !!game.users.activeGM?.isSelf;
+    }
+
+    /**
+     * Grant Ruin when a player spends Fate
+     * @param {Actor|null} actor - The character whose Fate changed, or null for the party pool
+     * @param {number} oldValue - Fate before the change
+     * @param {number} newValue - Fate after the change
+     * @param {string} reason - The ledger reason for the change
+     */
+    static async onFateChanged(actor, oldValue, newValue, reason) {
+        if (!this._isResponsible || !getSetting(SETTINGS_KEYS.RUIN_ON_FATE_SPENT)) return;
+        if (reason !== "used" || newValue >= oldValue) return;
+
+        // NPCs spending their own pool don't feed the GM's Ruin
+        if (actor && !actor.hasPlayerOwner) return;
+
+        await this._gainRuin("FateSpent", { actor: actor?.name ?? localize("PartyFate") });
+    }
+
+    /**
+     * Grant Ruin when a player character's test fumbles or rolls doubles
+     * @param {ChatMessage} message - The new chat message
+     */
+    static async onCreateChatMessage(message) {
+        if (!this._isResponsible || !TestIntegration.getTest(message)) return;
+
+        const actor = ChatMessage.getSpeakerActor(message.speaker);
+        if (!actor?.hasPlayerOwner) return;
+
+        // A fumble is also a double, so only one rule applies per test
+        if (getSetting(SETTINGS_KEYS.RUIN_ON_FUMBLE) && TestIntegration.isFumble(message)) {
+            await this._gainRuin("Fumble", { actor: actor.name });
+        } else if (getSetting(SETTINGS_KEYS.RUIN_ON_DOUBLES) && TestIntegration.isDoubles(message)) {
+            await this._gainRuin("Doubles", { actor: actor.name });
+        }
+    }
+
+    /**
+     * Grant Ruin at the start of each combat round
+     * @param {Combat} combat - The combat
+     * @param {object} changes - The changed data
+     * @param {object} options - The update options
+     */
+    static async onUpdateCombat(combat, changes, options) {
+        if (!this._isResponsible || !getSetting(SETTINGS_KEYS.RUIN_ON_ROUND_START)) return;
+        if (!combat.started || !foundry.utils.hasProperty(changes, "round")) return;
+
+        // Ignore rewinding to a previous round
+        if ((options.direction ?? 1) < 0) return;
+
+        await this._gainRuin("RoundStart", { round: changes.round });
+    }
+
+    /**
+     * Add one Ruin point for a rule, warning the GM instead if the pool is full
+     * @param {string} rule - The rule key, used for localization
+     * @param {object} data - Format data for the rule description
+     * @private
+     */
+    static async _gainRuin(rule, data) {
+        const ruinData = FatePointManager.getRuinPoints();
+        if (ruinData.current >= ruinData.max) {
+            log("info", "Automatic Ruin gain clamped at maximum", { rule });
+            notify("RuinAtMax", "warn", { format: { rule: localize(`RuinAutomation.${rule}.Label`) } });
+            return;
+        }
+
+        const detail = game.i18n.format(`IMPMAL_SHARED_FATE.RuinAutomation.${rule}.Detail`, data);
+        log("debug", "Automatic Ruin gain", { rule, detail });
+        await FatePointManager.addRuin(1, { detail });
+    }
+}
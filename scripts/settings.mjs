@@ -1,5 +1,14 @@
-import { MODULE_ID, SETTINGS_KEYS, LOCALIZE_KEY } from "./constants.mjs";
+import {
+    MODULE_ID, SETTINGS_KEYS, LOCALIZE_KEY, DEFAULT_RUIN_CATALOGUE, FATE_MODES, RUIN_VISIBILITY, RUIN_DISPLAY,
+    CHAT_AUDIENCES, CHAT_AUDIENCE_SETTINGS, DEFAULT_TRACKED_ACTORS, DISPLAY_STYLES
+} from "./constants.mjs";
+import { log } from "./utils.mjs";
 import { UIHandler } from "./ui-handler.mjs";
+import { LedgerViewer } from "./apps/ledger-viewer.mjs";
+import { RuinCatalogueConfig } from "./apps/ruin-catalogue-config.mjs";
+import { FateTracker } from "./apps/fate-tracker.mjs";
+import { PermissionConfig } from "./apps/permission-config.mjs";
+import { TrackedActorsConfig } from "./apps/tracked-actors-config.mjs";
 
 export function registerSettings() {
     // GM Ruin current value (independent from any character)
@@ -10,7 +19,10 @@ export function registerSettings() {
         config: false,
         type: Number,
         default: 0,
-        onChange: () => UIHandler.refresh()
+        onChange: value => {
+            UIHandler.noteRuinChange(null, value);
+            UIHandler.refresh();
+        }
     });
 
     // GM Ruin max value
@@ -24,6 +36,174 @@ export function registerSettings() {
         onChange: () => UIHandler.refresh()
     });
 
+    // Separate Ruin pools for each GM, keyed by user ID
+    game.settings.register(MODULE_ID, SETTINGS_KEYS.GM_RUIN_POOLS, {
+        scope: "world",
+        config: false,
+        type: Object,
+        default: {},
+        onChange: pools => {
+            for (const [pool, value] of Object.entries(pools ?? {})) {
+                UIHandler.noteRuinChange(pool, value);
+            }
+            UIHandler.refresh();
+        }
+    });
+
+    // One shared Ruin pool, or one per GM for co-GM and split-table play
+    game.settings.register(MODULE_ID, SETTINGS_KEYS.SEPARATE_RUIN_POOLS, {
+        name: `${LOCALIZE_KEY}.Settings.SeparateRuinPools.Name`,
+        hint: `${LOCALIZE_KEY}.Settings.SeparateRuinPools.Hint`,
+        scope: "world",
+        config: true,
+        type: Boolean,
+        default: false,
+        onChange: () => UIHandler.refresh()
+    });
+
+    // Where the player list shows Ruin
+    game.settings.register(MODULE_ID, SETTINGS_KEYS.RUIN_DISPLAY, {
+        name: `${LOCALIZE_KEY}.Settings.RuinDisplay.Name`,
+        hint: `${LOCALIZE_KEY}.Settings.RuinDisplay.Hint`,
+        scope: "world",
+        config: true,
+        type: String,
+        choices: {
+            [RUIN_DISPLAY.GM]: `${LOCALIZE_KEY}.Settings.RuinDisplay.GM`,
+            [RUIN_DISPLAY.ROW]: `${LOCALIZE_KEY}.Settings.RuinDisplay.Row`
+        },
+        default: RUIN_DISPLAY.GM,
+        onChange: () => UIHandler.refresh()
+    });
+
+    // How much of the Ruin pool players see
+    game.settings.register(MODULE_ID, SETTINGS_KEYS.RUIN_VISIBILITY, {
+        name: `${LOCALIZE_KEY}.Settings.RuinVisibility.Name`,
+        hint: `${LOCALIZE_KEY}.Settings.RuinVisibility.Hint`,
+        scope: "world",
+        config: true,
+        type: String,
+        choices: {
+            [RUIN_VISIBILITY.EXACT]: `${LOCALIZE_KEY}.Settings.RuinVisibility.Exact`,
+            [RUIN_VISIBILITY.VAGUE]: `${LOCALIZE_KEY}.Settings.RuinVisibility.Vague`,
+            [RUIN_VISIBILITY.GM]: `${LOCALIZE_KEY}.Settings.RuinVisibility.GM`
+        },
+        default: RUIN_VISIBILITY.EXACT,
+        onChange: () => UIHandler.refresh()
+    });
+
+    // Per-character Fate, a shared party pool, or both
+    game.settings.register(MODULE_ID, SETTINGS_KEYS.FATE_MODE, {
+        name: `${LOCALIZE_KEY}.Settings.FateMode.Name`,
+        hint: `${LOCALIZE_KEY}.Settings.FateMode.Hint`,
+        scope: "world",
+        config: true,
+        type: String,
+        choices: {
+            [FATE_MODES.CHARACTER]: `${LOCALIZE_KEY}.Settings.FateMode.Character`,
+            [FATE_MODES.PARTY]: `${LOCALIZE_KEY}.Settings.FateMode.Party`,
+            [FATE_MODES.HYBRID]: `${LOCALIZE_KEY}.Settings.FateMode.Hybrid`
+        },
+        default: FATE_MODES.CHARACTER,
+        onChange: () => UIHandler.refresh()
+    });
+
+    // Party Fate pool current value (independent from any character)
+    game.settings.register(MODULE_ID, SETTINGS_KEYS.PARTY_FATE, {
+        scope: "world",
+        config: false,
+        type: Number,
+        default: 0,
+        onChange: value => {
+            UIHandler.noteFateChange(null, value);
+            UIHandler.refresh();
+        }
+    });
+
+    // Party Fate pool max value; 0 follows the number of active players
+    game.settings.register(MODULE_ID, SETTINGS_KEYS.PARTY_FATE_MAX, {
+        name: `${LOCALIZE_KEY}.Settings.PartyFateMax.Name`,
+        hint: `${LOCALIZE_KEY}.Settings.PartyFateMax.Hint`,
+        scope: "world",
+        config: true,
+        type: Number,
+        default: 0,
+        onChange: () => UIHandler.refresh()
+    });
+
+    // Session counter, advanced by Start Session
+    game.settings.register(MODULE_ID, SETTINGS_KEYS.SESSION_NUMBER, {
+        scope: "world",
+        config: false,
+        type: Number,
+        default: 0
+    });
+
+    // Ruin the pool is reset to when a session starts
+    game.settings.register(MODULE_ID, SETTINGS_KEYS.SESSION_RUIN_START, {
+        name: `${LOCALIZE_KEY}.Settings.SessionRuinStart.Name`,
+        hint: `${LOCALIZE_KEY}.Settings.SessionRuinStart.Hint`,
+        scope: "world",
+        config: true,
+        type: Number,
+        default: 0
+    });
+
+    // GM catalogue of Ruin expenditures
+    game.settings.register(MODULE_ID, SETTINGS_KEYS.RUIN_CATALOGUE, {
+        scope: "world",
+        config: false,
+        type: Array,
+        default: DEFAULT_RUIN_CATALOGUE
+    });
+
+    // Ruin catalogue editor
+    game.settings.registerMenu(MODULE_ID, "ruinCatalogue", {
+        name: `${LOCALIZE_KEY}.Settings.RuinCatalogue.Name`,
+        label: `${LOCALIZE_KEY}.Settings.RuinCatalogue.Label`,
+        hint: `${LOCALIZE_KEY}.Settings.RuinCatalogue.Hint`,
+        icon: "fas fa-skull",
+        type: RuinCatalogueConfig,
+        restricted: true
+    });
+
+    // Actor types with a Fate-like resource, and the data paths holding it
+    game.settings.register(MODULE_ID, SETTINGS_KEYS.TRACKED_ACTORS, {
+        scope: "world",
+        config: false,
+        type: Array,
+        default: DEFAULT_TRACKED_ACTORS,
+        onChange: () => UIHandler.refresh()
+    });
+
+    // Tracked actor types editor
+    game.settings.registerMenu(MODULE_ID, "trackedActors", {
+        name: `${LOCALIZE_KEY}.Settings.TrackedActors.Name`,
+        label: `${LOCALIZE_KEY}.Settings.TrackedActors.Label`,
+        hint: `${LOCALIZE_KEY}.Settings.TrackedActors.Hint`,
+        icon: "fas fa-users-gear",
+        type: TrackedActorsConfig,
+        restricted: true
+    });
+
+    // Automatic Ruin gains, each rule switchable on its own
+    const ruinRules = {
+        [SETTINGS_KEYS.RUIN_ON_FATE_SPENT]: "RuinOnFateSpent",
+        [SETTINGS_KEYS.RUIN_ON_FUMBLE]: "RuinOnFumble",
+        [SETTINGS_KEYS.RUIN_ON_DOUBLES]: "RuinOnDoubles",
+        [SETTINGS_KEYS.RUIN_ON_ROUND_START]: "RuinOnRoundStart"
+    };
+    for (const [key, label] of Object.entries(ruinRules)) {
+        game.settings.register(MODULE_ID, key, {
+            name: `${LOCALIZE_KEY}.Settings.${label}.Name`,
+            hint: `${LOCALIZE_KEY}.Settings.${label}.Hint`,
+            scope: "world",
+            config: true,
+            type: Boolean,
+            default: false
+        });
+    }
+
     // Show max fate alongside current
     game.settings.register(MODULE_ID, SETTINGS_KEYS.SHOW_MAX_FATE, {
         name: `${LOCALIZE_KEY}.Settings.ShowMaxFate.Name`,
@@ -35,6 +215,41 @@ export function registerSettings() {
         onChange: () => UIHandler.refresh()
     });
 
+    // Number, pips or segmented bar for the Fate and Ruin displays
+    game.settings.register(MODULE_ID, SETTINGS_KEYS.DISPLAY_STYLE, {
+        name: `${LOCALIZE_KEY}.Settings.DisplayStyle.Name`,
+        hint: `${LOCALIZE_KEY}.Settings.DisplayStyle.Hint`,
+        scope: "client",
+        config: true,
+        type: String,
+        choices: {
+            [DISPLAY_STYLES.NUMBER]: `${LOCALIZE_KEY}.Settings.DisplayStyle.Number`,
+            [DISPLAY_STYLES.PIPS]: `${LOCALIZE_KEY}.Settings.DisplayStyle.Pips`,
+            [DISPLAY_STYLES.BAR]: `${LOCALIZE_KEY}.Settings.DisplayStyle.Bar`
+        },
+        default: DISPLAY_STYLES.NUMBER,
+        onChange: () => UIHandler.refresh()
+    });
+
+    // Floating Fate & Ruin tracker window
+    game.settings.register(MODULE_ID, SETTINGS_KEYS.SHOW_TRACKER, {
+        name: `${LOCALIZE_KEY}.Settings.ShowTracker.Name`,
+        hint: `${LOCALIZE_KEY}.Settings.ShowTracker.Hint`,
+        scope: "client",
+        config: true,
+        type: Boolean,
+        default: false,
+        onChange: value => FateTracker.toggle(value)
+    });
+
+    // Where the tracker window was last placed on this client
+    game.settings.register(MODULE_ID, SETTINGS_KEYS.TRACKER_POSITION, {
+        scope: "client",
+        config: false,
+        type: Object,
+        default: {}
+    });
+
     // Allow players to use fate from the UI
     game.settings.register(MODULE_ID, SETTINGS_KEYS.ALLOW_PLAYER_USE, {
         name: `${LOCALIZE_KEY}.Settings.AllowPlayerUse.Name`,
@@ -46,16 +261,82 @@ export function registerSettings() {
         onChange: () => UIHandler.refresh()
     });
 
-    // Show chat messages when fate is used
+    // Per-role and per-user permission matrix; empty until the GM edits it
+    game.settings.register(MODULE_ID, SETTINGS_KEYS.PERMISSIONS, {
+        scope: "world",
+        config: false,
+        type: Object,
+        default: {},
+        onChange: () => UIHandler.refresh()
+    });
+
+    // Permission matrix editor
+    game.settings.registerMenu(MODULE_ID, "permissions", {
+        name: `${LOCALIZE_KEY}.Settings.Permissions.Name`,
+        label: `${LOCALIZE_KEY}.Settings.Permissions.Label`,
+        hint: `${LOCALIZE_KEY}.Settings.Permissions.Hint`,
+        icon: "fas fa-user-lock",
+        type: PermissionConfig,
+        restricted: true
+    });
+
+    // Who receives each kind of chat card
+    const audienceChoices = {
+        [CHAT_AUDIENCES.PUBLIC]: `${LOCALIZE_KEY}.Settings.ChatAudience.Public`,
+        [CHAT_AUDIENCES.GM]: `${LOCALIZE_KEY}.Settings.ChatAudience.GM`,
+        [CHAT_AUDIENCES.SELF]: `${LOCALIZE_KEY}.Settings.ChatAudience.Self`,
+        [CHAT_AUDIENCES.NONE]: `${LOCALIZE_KEY}.Settings.ChatAudience.None`
+    };
+    for (const [category, key] of Object.entries(CHAT_AUDIENCE_SETTINGS)) {
+        const label = category.charAt(0).toUpperCase() + category.slice(1);
+        game.settings.register(MODULE_ID, key, {
+            name: `${LOCALIZE_KEY}.Settings.ChatAudience.${label}.Name`,
+            hint: `${LOCALIZE_KEY}.Settings.ChatAudience.${label}.Hint`,
+            scope: "world",
+            config: true,
+            type: String,
+            choices: audienceChoices,
+            default: CHAT_AUDIENCES.PUBLIC
+        });
+    }
+
+    // Replaced by the chat audience settings; kept so older worlds can be migrated
     game.settings.register(MODULE_ID, SETTINGS_KEYS.SHOW_CHAT_MESSAGES, {
-        name: `${LOCALIZE_KEY}.Settings.ShowChatMessages.Name`,
-        hint: `${LOCALIZE_KEY}.Settings.ShowChatMessages.Hint`,
         scope: "world",
-        config: true,
+        config: false,
         type: Boolean,
         default: true
     });
 
+    // Fate/Ruin transaction ledger
+    game.settings.register(MODULE_ID, SETTINGS_KEYS.LEDGER, {
+        scope: "world",
+        config: false,
+        type: Array,
+        default: [],
+        onChange: () => LedgerViewer.refresh()
+    });
+
+    // Number of ledger entries to keep; the whole ledger is sent to every client on each change
+    game.settings.register(MODULE_ID, SETTINGS_KEYS.LEDGER_MAX_ENTRIES, {
+        name: `${LOCALIZE_KEY}.Settings.LedgerMaxEntries.Name`,
+        hint: `${LOCALIZE_KEY}.Settings.LedgerMaxEntries.Hint`,
+        scope: "world",
+        config: true,
+        type: Number,
+        default: 200
+    });
+
+    // Ledger history viewer
+    game.settings.registerMenu(MODULE_ID, "ledgerViewer", {
+        name: `${LOCALIZE_KEY}.Settings.LedgerViewer.Name`,
+        label: `${LOCALIZE_KEY}.Settings.LedgerViewer.Label`,
+        hint: `${LOCALIZE_KEY}.Settings.LedgerViewer.Hint`,
+        icon: "fas fa-book",
+        type: LedgerViewer,
+        restricted: true
+    });
+
     // Log level for debugging
     game.settings.register(MODULE_ID, SETTINGS_KEYS.LOG_LEVEL, {
         name: `${LOCALIZE_KEY}.Settings.LogLevel.Name`,
@@ -74,6 +355,27 @@ export function registerSettings() {
     });
 }
 
+/**
+ * Bring settings stored by older versions of the module up to date (GM only)
+ * Worlds that turned off "Show Chat Messages" get every chat audience set to "none"
+ * @returns {Promise<void>}
+ */
+export async function migrateSettings() {
+    if (!game.user.isGM) return;
+
+    const storage = game.settings.storage.get("world");
+    const isStored = key => !!storage.getSetting(`${MODULE_ID}.${key}`);
+
+    const audienceKeys = Object.values(CHAT_AUDIENCE_SETTINGS);
+    if (isStored(SETTINGS_KEYS.SHOW_CHAT_MESSAGES) && !getSetting(SETTINGS_KEYS.SHOW_CHAT_MESSAGES)
+        && !audienceKeys.some(isStored)) {
+        for (const key of audienceKeys) {
+            await setSetting(key, CHAT_AUDIENCES.NONE);
+        }
+        log("info", "Migrated \"Show Chat Messages\" to the chat audience settings");
+    }
+}
+
 /**
  * Get a setting value
  * @param {string} key - The setting key
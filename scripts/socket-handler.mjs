@@ -0,0 +1,240 @@
+import { MODULE_ID, SOCKET_NAME } from "./constants.mjs";
+import { log, notify } from "./utils.mjs";
+
+/**
+ * How long a client waits for the GM to answer a relayed request
+ * @type {number}
+ */
+const DEFAULT_TIMEOUT = 10000;
+
+/**
+ * User flag holding requests made while no GM was connected
+ * @type {string}
+ */
+const QUEUE_FLAG = "pendingRequests";
+
+/**
+ * Relays operations the current user cannot perform themselves to the active GM's client.
+ * The GM client validates and applies the change, then replies with a success or failure result.
+ * Requests that allow it are queued on the requesting user while no GM is connected, and applied
+ * by whichever GM becomes active next.
+ */
+export class SocketHandler {
+
+    /**
+     * Registered request handlers, keyed by action name
+     * @type {Map<string, Function>}
+     * @private
+     */
+    static _handlers = new Map();
+
+    /**
+     * Requests awaiting a reply from the GM, keyed by request ID
+     * @type {Map<string, {resolve: Function, timeout: number}>}
+     * @private
+     */
+    static _pending = new Map();
+
+    /**
+     * Chain of queue writes, so requests queued in quick succession are all kept
+     * @type {Promise<void>}
+     * @private
+     */
+    static _queueWrite = Promise.resolve();
+
+    /**
+     * Start listening on the module socket channel
+     */
+    static initialize() {
+        game.socket.on(SOCKET_NAME, (message, senderId) => this._onMessage(message, senderId));
+        log("info", "SocketHandler initialized");
+    }
+
+    /**
+     * Register a handler that the active GM runs for a relayed request
+     * @param {string} action - The action name
+     * @param {function(object, User): Promise<{success: boolean, error?: string}>} handler - Receives the payload and the requesting user
+     */
+    static registerHandler(action, handler) {
+        this._handlers.set(action, handler);
+    }
+
+    /**
+     * Ask the active GM to perform an action on behalf of the current user
+     * @param {string} action - The registered action name
+     * @param {object} [payload] - Data for the handler
+     * @param {object} [options] - Additional options
+     * @param {number} [options.timeout] - Milliseconds to wait for a reply
+     * @param {boolean} [options.queue=false] - Whether to queue the request when no GM is connected
+     * @returns {Promise<{success: boolean, error?: string}>} The GM's reply; "RequestQueued" when it was queued
+     */
+    static async requestGM(action, payload = {}, options = {}) {
+        const { timeout = DEFAULT_TIMEOUT, queue = false } = options;
+
+        const gm = game.users.activeGM;
+        if (!gm && queue) return this._enqueue(action, payload);
+        if (!gm) {
+            log("warn", "No active GM to relay request to", { action });
+            return { success: false, error: "NoActiveGM" };
+        }
+
+        // The active GM applies its own requests directly
+        if (gm.isSelf) return this._execute(action, payload, game.user);
+
+        const requestId = foundry.utils.randomID();
+
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                this._pending.delete(requestId);
+                log("warn", "Relayed request timed out", { action, requestId });
+                resolve({ success: false, error: "RequestTimedOut" });
+            }, timeout);
+
+            this._pending.set(requestId, { resolve, timeout: timer });
+
+            log("debug", "Relaying request to GM", { action, requestId, gmId: gm.id });
+            game.socket.emit(SOCKET_NAME, {
+                type: "request",
+                action,
+                payload,
+                requestId,
+                gmId: gm.id
+            });
+        });
+    }
+
+    /**
+     * Apply every request users queued while no GM was connected (active GM only)
+     * Each user's queue is cleared before it is applied, so no request runs twice
+     * @returns {Promise<number>} Number of requests applied
+     */
+    static async processQueue() {
+        if (!game.users.activeGM?.isSelf) return 0;
+
+        let applied = 0;
+        for (const user of game.users) {
+            const queued = user.getFlag(MODULE_ID, QUEUE_FLAG);
+            if (!queued?.length) continue;
+
+            await user.unsetFlag(MODULE_ID, QUEUE_FLAG);
+            for (const { action, payload } of queued) {
+                const result = await this._execute(action, payload, user);
+                if (result.success) applied++;
+                else log("warn", "Queued request was not applied", { action, user: user.name, error: result.error });
+            }
+        }
+
+        if (applied) notify("QueueApplied", "info", { format: { count: applied } });
+        return applied;
+    }
+
+    /**
+     * Store a request on the current user until a GM connects
+     * @param {string} action - The registered action name
+     * @param {object} payload - Data for the handler
+     * @returns {Promise<{success: boolean, error: string}>} The result: "RequestQueued", or "UpdateFailed" if it could not be stored
+     * @private
+     */
+    static async _enqueue(action, payload) {
+        let queuedRequest = false;
+        this._queueWrite = this._queueWrite.then(async () => {
+            const queued = game.user.getFlag(MODULE_ID, QUEUE_FLAG) ?? [];
+            await game.user.setFlag(MODULE_ID, QUEUE_FLAG, [...queued, { action, payload }]);
+            queuedRequest = true;
+            log("info", "No active GM; request queued", { action });
+        }).catch(error => {
+            log("error", "Failed to queue request", error);
+        });
+
+        await this._queueWrite;
+        return { success: false, error: queuedRequest ? "RequestQueued" : "UpdateFailed" };
+    }
+
+    /**
+     * Handle an incoming socket message
+     * @param {object} message - The socket message
+     * @param {string} [senderId] - The ID of the user who emitted the message, as given by the server
+     * @private
+     */
+    static async _onMessage(message, senderId) {
+        switch (message?.type) {
+            case "request":
+                return this._onRequest(message, senderId);
+            case "response":
+                return this._onResponse(message);
+            default:
+                log("debug", "Ignoring unknown socket message", message);
+        }
+    }
+
+    /**
+     * Handle a request addressed to this GM client and send back the result
+     * @param {object} message - The request message
+     * @param {string} [senderId] - The ID of the requesting user, as given by the server
+     * @private
+     */
+    static async _onRequest(message, senderId) {
+        // Only the GM the request was addressed to applies it
+        if (message.gmId !== game.user.id) return;
+
+        // The sender is only trusted when the server names it; the message body could claim anyone
+        if (!senderId) {
+            log("warn", "Rejected relayed request without a known sender", { action: message.action });
+            return;
+        }
+
+        const requester = game.users.get(senderId);
+        const result = requester
+            ? await this._execute(message.action, message.payload, requester)
+            : { success: false, error: "UpdateFailed" };
+
+        game.socket.emit(SOCKET_NAME, {
+            type: "response",
+            requestId: message.requestId,
+            recipientId: senderId,
+            ...result
+        });
+    }
+
+    /**
+     * Resolve a pending request with the GM's reply
+     * @param {object} message - The response message
+     * @private
+     */
+    static _onResponse(message) {
+        if (message.recipientId !== game.user.id) return;
+
+        const pending = this._pending.get(message.requestId);
+        if (!pending) return;
+
+        clearTimeout(pending.timeout);
+        this._pending.delete(message.requestId);
+
+        const { type, requestId, recipientId, ...result } = message;
+        pending.resolve(result);
+    }
+
+    /**
+     * Run a registered handler on this client
+     * @param {string} action - The action name
+     * @param {object} payload - Data for the handler
+     * @param {User} requester - The user who made the request
+     * @returns {Promise<{success: boolean, error?: string}>} The handler result
+     * @private
+     */
+    static async _execute(action, payload, requester) {
+        const handler = this._handlers.get(action);
+        if (!handler) {
+            log("warn", "No handler registered for relayed action", { action });
+            return { success: false, error: "UpdateFailed" };
+        }
+
+        try {
+            log("debug", "Executing relayed request", { action, requester: requester.name });
+            return await handler(payload ?? {}, requester);
+        } catch (error) {
+            log("error", `Relayed request "${action}" failed`, error);
+            return { success: false, error: "UpdateFailed" };
+        }
+    }
+}
@@ -0,0 +1,192 @@
+import { MODULE_ID, FATE_USES } from "./constants.mjs";
+import { FatePointManager } from "./fate-point-manager.mjs";
+import { log, notify } from "./utils.mjs";
+
+/**
+ * Fate uses that can be applied to an existing test message
+ * @type {string[]}
+ */
+const TEST_FATE_USES = [FATE_USES.ADD_SL, FATE_USES.REROLL];
+
+/**
+ * Applies Fate directly to Imperium Maledictum test chat messages
+ */
+export class TestIntegration {
+
+    /**
+     * Test messages Fate is being applied to right now, so a second click can't spend twice
+     * @type {Set<string>}
+     * @private
+     */
+    static _applying = new Set();
+
+    /**
+     * Get the test stored in an Imperium Maledictum test message
+     * @param {ChatMessage} message - The chat message
+     * @returns {object|null} The system test, or null if the message is not a test
+     */
+    static getTest(message) {
+        return message?.system?.test ?? null;
+    }
+
+    /**
+     * Check if a test message fumbled
+     * @param {ChatMessage} message - The chat message
+     * @returns {boolean} Whether the test is a fumble
+     */
+    static isFumble(message) {
+        return Boolean(this.getTest(message)?.result?.fumble);
+    }
+
+    /**
+     * Check if a test message rolled doubles (11, 22, ... 99, 00)
+     * @param {ChatMessage} message - The chat message
+     * @returns {boolean} Whether the d100 roll was a double
+     */
+    static isDoubles(message) {
+        const roll = Number(this.getTest(message)?.result?.roll);
+        return Number.isInteger(roll) && (roll === 100 || (roll > 0 && roll < 100 && roll % 11 === 0));
+    }
+
+    /**
+     * Get the character that rolled the test
+     * @param {ChatMessage} message - The test message
+     * @returns {Actor|null} The speaking character, if it is a player character
+     */
+    static getRollCharacter(message) {
+        const actor = ChatMessage.getSpeakerActor(message.speaker);
+        if (!actor?.hasPlayerOwner) return null;
+
+        return FatePointManager.resolveCharacter(actor);
+    }
+
+    /**
+     * Check if the current user can spend Fate on a test message
+     * @param {ChatMessage} message - The chat message
+     * @returns {boolean} Whether the Fate buttons/menu entries should be offered
+     */
+    static canApplyFate(message) {
+        if (!this.getTest(message)) return false;
+
+        // Fate is spent once per test
+        if (message.getFlag(MODULE_ID, "fateSpent") || this._applying.has(message.id)) return false;
+
+        // The test result is stored on the message, so it must be editable
+        if (!message.isAuthor && !game.user.isGM) return false;
+
+        return this.getFateSource(message) !== null;
+    }
+
+    /**
+     * Work out where Fate for a test would come from
+     * In hybrid mode the character's own Fate is spent first, then the party pool
+     * @param {ChatMessage} message - The test message
+     * @returns {"character"|"party"|null} The Fate source, or null if the current user has none to spend
+     */
+    static getFateSource(message) {
+        const character = this.getRollCharacter(message);
+        if (!character) return null;
+
+        if (FatePointManager.usesCharacterFate() && FatePointManager._canUseFate(character)
+            && (FatePointManager.getFatePoints(character)?.current ?? 0) > 0) {
+            return "character";
+        }
+
+        if (FatePointManager.usesPartyFate() && FatePointManager._canUsePartyFate()
+            && FatePointManager.getPartyFate().current > 0) {
+            return "party";
+        }
+
+        return null;
+    }
+
+    /**
+     * Spend a Fate point for the character that rolled, or from the party pool, and apply it to the test
+     * The test is only marked as having had Fate spent once it was updated; if it could not be,
+     * the point is given back so it can be tried again
+     * @param {ChatMessage} message - The test message
+     * @param {string} use - FATE_USES.ADD_SL or FATE_USES.REROLL
+     * @returns {Promise<boolean>} Whether the Fate was spent and applied
+     */
+    static async applyFate(message, use) {
+        if (!TEST_FATE_USES.includes(use) || !this.canApplyFate(message)) {
+            notify("CannotUseFate", "warn");
+            return false;
+        }
+
+        this._applying.add(message.id);
+        try {
+            const options = { use, rollMessageId: message.id };
+            const result = this.getFateSource(message) === "party"
+                ? await FatePointManager.usePartyFate(1, options)
+                : await FatePointManager.useFate(this.getRollCharacter(message), 1, options);
+            if (!result.success) return false;
+
+            try {
+                const test = this.getTest(message);
+                if (use === FATE_USES.REROLL) {
+                    await test.reroll();
+                } else {
+                    await this._addSL(message, test);
+                }
+            } catch (error) {
+                log("error", "Failed to apply Fate to test", error);
+                const refund = await FatePointManager.refundFate(message.id);
+                notify(refund.success ? "TestUpdateRefunded" : "TestUpdateFailed", "error");
+                return false;
+            }
+
+            log("info", "Fate applied to test", { messageId: message.id, use });
+            await message.setFlag(MODULE_ID, "fateSpent", use);
+            return true;
+        } finally {
+            this._applying.delete(message.id);
+        }
+    }
+
+    /**
+     * Get chat log context menu entries for spending Fate on a test
+     * @returns {object[]} The context menu entries
+     */
+    static getContextOptions() {
+        const getMessage = li => game.messages.get((li instanceof HTMLElement ? li : li[0]).dataset.messageId);
+
+        return [
+            {
+                name: "IMPMAL_SHARED_FATE.Chat.SpendFateSL",
+                icon: '<i class="fas fa-plus"></i>',
+                condition: li => this.canApplyFate(getMessage(li)),
+                callback: li => this.applyFate(getMessage(li), FATE_USES.ADD_SL)
+            },
+            {
+                name: "IMPMAL_SHARED_FATE.Chat.SpendFateReroll",
+                icon: '<i class="fas fa-dice"></i>',
+                condition: li => this.canApplyFate(getMessage(li)),
+                callback: li => this.applyFate(getMessage(li), FATE_USES.REROLL)
+            }
+        ];
+    }
+
+    /**
+     * Add +1 SL to a test result
+     * Uses the system's own method where available, otherwise edits the result where getTest reads it,
+     * so the card re-renders. Throws if the result did not change
+     * @param {ChatMessage} message - The test message
+     * @param {object} test - The system test
+     * @private
+     */
+    static async _addSL(message, test) {
+        if (typeof test.addSL === "function") {
+            await test.addSL(1);
+            return;
+        }
+
+        const sl = Number(test.result?.SL);
+        if (!Number.isFinite(sl)) throw new Error("The test has no SL to add to");
+
+        await message.update({ "system.test.result.SL": sl + 1 });
+        if (Number(this.getTest(message)?.result?.SL) !== sl + 1) {
+            throw new Error("The test result was not updated");
+        }
+    }
+}
@@ -1,20 +1,154 @@
-import { MODULE_ID, SETTINGS_KEYS } from "./constants.mjs";
+import { MODULE_ID, SETTINGS_KEYS, FATE_USES, PERMISSIONS, FATE_ICON, RUIN_DISPLAY, DISPLAY_STYLES, MAX_PIPS } from "./constants.mjs";
 import { getSetting } from "./settings.mjs";
 import { FatePointManager } from "./fate-point-manager.mjs";
-import { log, localize, format } from "./utils.mjs";
+import { Permissions } from "./permissions.mjs";
+import { UndoManager } from "./undo-manager.mjs";
+import { TestIntegration } from "./test-integration.mjs";
+import { FateTracker } from "./apps/fate-tracker.mjs";
+import { log, notify, localize, format, renderTemplate } from "./utils.mjs";
+
+/**
+ * Milliseconds the scroll wheel must be still before its steps are applied
+ * @type {number}
+ */
+const WHEEL_DELAY = 400;
+
+/**
+ * Milliseconds a change is animated for after it is noted
+ * @type {number}
+ */
+const CHANGE_ANIMATION = 1200;
 
 /**
  * Handles UI rendering and interactions for fate/ruin points in the player list
  */
 export class UIHandler {
+
+    /**
+     * Scroll wheel steps waiting to be applied, keyed by target
+     * @type {Map<string, {delta: number, timeout: number}>}
+     * @private
+     */
+    static _wheelChanges = new Map();
+
+    /**
+     * The value each pip display last showed, keyed by pool
+     * @type {Map<string, number>}
+     * @private
+     */
+    static _shownValues = new Map();
+
+    /**
+     * Recent changes the pip displays animate, keyed by pool
+     * @type {Map<string, {from: number, to: number, until: number}>}
+     * @private
+     */
+    static _changes = new Map();
     
     /**
-     * Refresh the player list to update fate/ruin point display
+     * Refresh the player list, the floating tracker and the token HUD to update fate/ruin point display
      */
     static refresh() {
         if (ui.players?.rendered) {
             ui.players.render();
         }
+        FateTracker.refresh();
+
+        const hud = canvas?.tokens?.hud;
+        if (hud?.rendered && hud.object) hud.render();
+    }
+
+    /**
+     * Note a Fate change so the next render of its displays animates it
+     * @param {Actor|null} actor - The character, or null for the party pool
+     * @param {number} value - The new value
+     * @param {number} [from] - The old value; defaults to the value last shown
+     */
+    static noteFateChange(actor, value, from) {
+        this._noteChange(`fate.${actor?.uuid ?? "party"}`, value, from);
+    }
+
+    /**
+     * Note a Ruin change so the next render of its displays animates it
+     * @param {string|null} pool - The GM holding the pool, or null for the shared pool
+     * @param {number} value - The new value
+     */
+    static noteRuinChange(pool, value) {
+        this._noteChange(`ruin.${pool ?? "shared"}`, value);
+    }
+
+    /**
+     * Remember a change for the pip displays of a pool
+     * Changes to a pool no display has shown yet are skipped, as there is nothing to animate from
+     * @param {string} key - Identifies the pool
+     * @param {number} value - The new value
+     * @param {number} [from] - The old value; defaults to the value last shown
+     * @private
+     */
+    static _noteChange(key, value, from = this._shownValues.get(key)) {
+        if (from === undefined || from === value) return;
+        this._changes.set(key, { from, to: value, until: Date.now() + CHANGE_ANIMATION });
+    }
+
+    /**
+     * Hook handler for renderTokenHUD
+     * Shows the Fate of the token's character alongside the HUD controls
+     * @param {TokenHUD} hud - The token HUD
+     * @param {HTMLElement} html - The rendered HUD element
+     */
+    static onRenderTokenHUD(hud, html) {
+        const character = this._getDisplayedCharacter(hud.object);
+        if (!character) return;
+
+        const wrapper = document.createElement("div");
+        wrapper.classList.add("impmal-fate-hud");
+        wrapper.appendChild(this._createFateDisplay(character));
+
+        const column = html.querySelector(".col.left") ?? html;
+        column.appendChild(wrapper);
+    }
+
+    /**
+     * Hook handler for rendering actor sheets
+     * Shows the character's Fate in the sheet header, next to the header controls
+     * @param {Application|ApplicationV2} app - The actor sheet
+     */
+    static onRenderActorSheet(app) {
+        const element = app.element instanceof HTMLElement ? app.element : app.element?.[0];
+        const header = element?.querySelector(".window-header");
+        if (!header) return;
+
+        // The header is kept between renders, so replace the previous display
+        header.querySelector(".impmal-fate-header")?.remove();
+
+        const character = this._getDisplayedCharacter(app.document ?? app.actor);
+        if (!character) return;
+
+        const wrapper = document.createElement("div");
+        wrapper.classList.add("impmal-fate-header");
+        wrapper.appendChild(this._createFateDisplay(character));
+
+        const title = header.querySelector(".window-title");
+        if (title) {
+            title.after(wrapper);
+        } else {
+            header.prepend(wrapper);
+        }
+    }
+
+    /**
+     * Get the character whose Fate a token HUD or sheet should show
+     * @param {FateTarget} target - The token or actor
+     * @returns {Actor|null} The character, if it has Fate this user may see
+     * @private
+     */
+    static _getDisplayedCharacter(target) {
+        const character = FatePointManager.resolveCharacter(target);
+        if (!character || !FatePointManager.getFatePoints(character)) return null;
+
+        // NPC pools don't depend on the Fate mode
+        if (character.hasPlayerOwner && !FatePointManager.usesCharacterFate()) return null;
+        return FatePointManager.canSeeFate(character) ? character : null;
     }
 
     /**
@@ -26,8 +160,29 @@ export class UIHandler {
     static onRenderPlayers(app, html, data) {
         log("debug", "Rendering fate/ruin points in player list");
 
+        // GMs can undo/redo adjustments while the player list has focus
+        if (game.user.isGM) {
+            if (html.tabIndex < 0) html.tabIndex = 0;
+            html.addEventListener("keydown", this._onPlayerListKeyDown);
+        }
+
         // Find all player list items
         const playerLis = html.querySelectorAll("li[data-user-id]");
+
+        // The party pool is shown once, in its own row above the players
+        if (FatePointManager.usesPartyFate() && playerLis.length) {
+            this._addPartyFateRow(playerLis[0]);
+        }
+
+        // Ruin rows go above everything else when Ruin is not shown on the GMs' rows
+        const showRuin = FatePointManager.canSeeRuin();
+        const ruinRows = getSetting(SETTINGS_KEYS.RUIN_DISPLAY) === RUIN_DISPLAY.ROW;
+        if (showRuin && ruinRows && playerLis.length) {
+            const first = html.querySelector("li.impmal-party-fate-row") ?? playerLis[0];
+            for (const pool of FatePointManager.getRuinPools()) {
+                this._addRuinRow(first, pool);
+            }
+        }
         
         for (const li of playerLis) {
             const userId = li.dataset.userId;
@@ -37,56 +192,223 @@ export class UIHandler {
 
             // Check if this is a GM user
             if (FatePointManager.isGM(user)) {
-                // GMs get Ruin display
-                this._addRuinDisplay(li, user);
-            } else {
-                // Players get Fate display
-                const fateData = FatePointManager.getFatePoints(user);
-                if (fateData) {
-                    this._addFateDisplay(li, user, fateData);
+                // A GM row shows that GM's own pool, or the shared pool on the primary GM only
+                if (!showRuin || ruinRows) continue;
+                const pool = FatePointManager.getRuinPoolId(user);
+                if (pool || user.id === this._getRuinHost()?.id) this._addRuinDisplay(li, pool);
+            } else if (FatePointManager.usesCharacterFate()) {
+                // Players get a Fate display for each of their characters this user may see
+                const characters = FatePointManager.getPlayerCharacters(user)
+                    .filter(character => FatePointManager.getFatePoints(character) && FatePointManager.canSeeFate(character));
+                if (characters.length) {
+                    this._addFateDisplay(li, characters);
                 }
             }
         }
     }
 
+    /**
+     * Hook handler for rendering chat messages
+     * Adds Fate buttons to test cards and decorates the module's own Fate/Ruin messages
+     * @param {ChatMessage} message - The chat message
+     * @param {HTMLElement} html - The rendered message element
+     */
+    static onRenderChatMessage(message, html) {
+        if (TestIntegration.canApplyFate(message)) {
+            this._addTestFateButtons(message, html);
+        }
+
+        if (message.getFlag(MODULE_ID, "operationId")) {
+            this._decorateFateMessage(message, html);
+        }
+    }
+
+    /**
+     * Add "Spend Fate" buttons to a test card
+     * @param {ChatMessage} message - The test message
+     * @param {HTMLElement} html - The rendered message element
+     * @private
+     */
+    static _addTestFateButtons(message, html) {
+        const buttons = document.createElement("div");
+        buttons.classList.add("impmal-test-fate");
+
+        buttons.appendChild(this._createChatButton("fa-plus", localize("Chat.SpendFateSL"),
+            () => TestIntegration.applyFate(message, FATE_USES.ADD_SL)));
+        buttons.appendChild(this._createChatButton("fa-dice", localize("Chat.SpendFateReroll"),
+            () => TestIntegration.applyFate(message, FATE_USES.REROLL)));
+
+        const content = html.querySelector(".message-content") ?? html;
+        content.appendChild(buttons);
+    }
+
+    /**
+     * Link fate cards to their roll, strike through undone Fate/Ruin messages and give the GM undo/redo buttons
+     * @param {ChatMessage} message - The Fate/Ruin message
+     * @param {HTMLElement} html - The rendered message element
+     * @private
+     */
+    static _decorateFateMessage(message, html) {
+        const operationId = message.getFlag(MODULE_ID, "operationId");
+
+        // Link from a fate card to the roll the fate was spent on
+        html.querySelector(".fate-roll-link")?.addEventListener("click", (event) => {
+            event.preventDefault();
+            this._scrollToMessage(event.currentTarget.dataset.messageId);
+        });
+
+        if (message.getFlag(MODULE_ID, "undone")) {
+            html.classList.add("impmal-undone");
+        }
+
+        if (!game.user.isGM) return;
+
+        let button;
+        if (UndoManager.canUndo(operationId)) {
+            button = this._createChatButton("fa-undo", localize("Controls.Undo"), () => UndoManager.undoTo(operationId));
+        } else if (UndoManager.canRedo(operationId)) {
+            button = this._createChatButton("fa-redo", localize("Controls.Redo"), () => UndoManager.redoTo(operationId));
+        }
+
+        if (button) {
+            const content = html.querySelector(".message-content") ?? html;
+            content.appendChild(button);
+        }
+    }
+
+    /**
+     * Create a button for a chat card
+     * @param {string} iconClass - The Font Awesome icon class
+     * @param {string} label - The button label
+     * @param {Function} onClick - The click handler
+     * @returns {HTMLElement} The button
+     * @private
+     */
+    static _createChatButton(iconClass, label, onClick) {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.classList.add("impmal-chat-button");
+        button.innerHTML = `<i class="fas ${iconClass}"></i> ${label}`;
+        button.addEventListener("click", async (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            button.disabled = true;
+            await onClick();
+        });
+        return button;
+    }
+
+    /**
+     * Handle undo/redo shortcuts in the player list (GM only)
+     * Ctrl+Z undoes, Ctrl+Y or Ctrl+Shift+Z redoes
+     * @param {KeyboardEvent} event - The keydown event
+     * @private
+     */
+    static async _onPlayerListKeyDown(event) {
+        if (!(event.ctrlKey || event.metaKey) || event.repeat) return;
+
+        const key = event.key.toLowerCase();
+        if (key === "z" && !event.shiftKey) {
+            event.preventDefault();
+            event.stopPropagation();
+            await UndoManager.undo();
+        } else if (key === "y" || (key === "z" && event.shiftKey)) {
+            event.preventDefault();
+            event.stopPropagation();
+            await UndoManager.redo();
+        }
+    }
+
     /**
      * Add Ruin display for GM
      * @param {HTMLElement} li - The list item element
-     * @param {User} user - The GM user
+     * @param {string|null} pool - The GM holding the pool, or null for the shared pool
+     * @private
+     */
+    static _addRuinDisplay(li, pool) {
+        const container = this._createRuinDisplay(pool);
+
+        // Find player name element and insert after it
+        const playerName = li.querySelector(".player-name") || li.querySelector("span");
+        if (playerName) {
+            playerName.after(container);
+        } else {
+            li.appendChild(container);
+        }
+    }
+
+    /**
+     * Add a row for a Ruin pool above the players
+     * @param {HTMLElement} firstLi - The first row of the player list
+     * @param {{id: string|null, name: string}} pool - The pool
+     * @private
+     */
+    static _addRuinRow(firstLi, pool) {
+        const row = document.createElement("li");
+        row.classList.add("impmal-ruin-row");
+
+        const label = document.createElement("span");
+        label.classList.add("player-name");
+        label.textContent = pool.name;
+
+        row.appendChild(label);
+        row.appendChild(this._createRuinDisplay(pool.id));
+        firstLi.before(row);
+    }
+
+    /**
+     * Get the GM whose player list row shows the shared Ruin pool
+     * The active GM, or the first GM while none is connected, so the pool is shown once
+     * @returns {User|undefined} The GM user
+     * @private
+     */
+    static _getRuinHost() {
+        return game.users.activeGM ?? game.users.find(user => FatePointManager.isGM(user));
+    }
+
+    /**
+     * Create the display for a Ruin pool
+     * Users allowed to manage Ruin get the click handlers and controls
+     * @param {string|null} [pool=null] - The GM holding the pool, or null for the shared pool
+     * @returns {HTMLElement} The Ruin display container
      * @private
      */
-    static _addRuinDisplay(li, user) {
-        const ruinData = FatePointManager.getRuinPoints();
+    static _createRuinDisplay(pool = null) {
+        const ruinData = FatePointManager.getRuinPoints(pool);
         const showMax = getSetting(SETTINGS_KEYS.SHOW_MAX_FATE);
         
         // Create Ruin display container
         const container = document.createElement("div");
         container.classList.add("impmal-fate-container", "ruin-container");
-        container.dataset.userId = user.id;
+        if (pool) container.dataset.pool = pool;
 
         // Create Ruin icon (skull/chaos themed)
         const icon = document.createElement("i");
         icon.classList.add("fas", "fa-skull", "ruin-icon");
 
-        // Create Ruin value display
+        // Create Ruin value display; users who may not see the exact value get its tier
         const valueDisplay = document.createElement("span");
         valueDisplay.classList.add("fate-value", "ruin-value");
+        const exact = FatePointManager.canSeeExactRuin();
         
-        if (showMax) {
+        if (!exact) {
+            const tier = FatePointManager.getRuinTier(ruinData);
+            valueDisplay.textContent = localize(`RuinTiers.${tier}`);
+            container.classList.add("vague", `ruin-tier-${tier}`);
+        } else if (showMax) {
             valueDisplay.textContent = `${ruinData.current}/${ruinData.max}`;
         } else {
             valueDisplay.textContent = ruinData.current.toString();
         }
 
-        // Only GM can interact with Ruin, and only their own
-        const canInteract = game.user.isGM && user.isSelf;
+        const canInteract = Permissions.has(game.user, PERMISSIONS.MANAGE_RUIN);
         const canUse = canInteract && ruinData.current > 0;
         
         // Set up tooltip
-        let tooltipText = format("Tooltip.RuinPoints", { 
-            current: ruinData.current,
-            max: ruinData.max
-        });
+        let tooltipText = exact
+            ? format("Tooltip.RuinPoints", { current: ruinData.current, max: ruinData.max })
+            : format("Tooltip.RuinTier", { tier: valueDisplay.textContent });
+        if (pool) tooltipText = `${FatePointManager.getRuinPoolName(pool)}\n${tooltipText}`;
 
         if (canUse) {
             tooltipText += "\n" + localize("Tooltip.ClickToUseRuin");
@@ -96,63 +418,122 @@ export class UIHandler {
         if (canInteract) {
             tooltipText += "\n" + localize("Tooltip.CtrlClickToAddRuin");
             tooltipText += "\n" + localize("Tooltip.CtrlRightClickToRemoveRuin");
+            tooltipText += "\n" + localize("Tooltip.ShiftForAmount");
         }
 
         container.dataset.tooltip = tooltipText;
         container.dataset.tooltipDirection = "UP";
 
-        // Add click handlers for GM
+        // Add click handlers for users who can manage Ruin
         if (canInteract) {
             container.style.cursor = "pointer";
-            container.addEventListener("click", (event) => this._onRuinClick(event));
-            container.addEventListener("contextmenu", (event) => this._onRuinRightClick(event));
+            container.addEventListener("click", (event) => this._onRuinClick(event, pool));
+            container.addEventListener("contextmenu", (event) => this._onRuinRightClick(event, pool));
         }
 
-        // Style based on Ruin availability
-        if (ruinData.current === 0) {
+        // Style based on Ruin availability, unless that would give the exact value away
+        if (exact && ruinData.current === 0) {
             container.classList.add("exhausted");
-        } else if (ruinData.current === ruinData.max) {
+        } else if (exact && ruinData.current === ruinData.max) {
             container.classList.add("full");
         }
 
-        // Assemble the display
+        // Assemble the display; pips replace the number unless there are too many for one per point,
+        // and are never shown to users who only see the tier
         container.appendChild(icon);
-        container.appendChild(valueDisplay);
+        const pips = exact ? this._createPips(`ruin.${pool ?? "shared"}`, ruinData, icon) : null;
+        if (pips) container.appendChild(pips);
+        if (!pips || ruinData.max > MAX_PIPS) container.appendChild(valueDisplay);
 
-        // Add GM controls if this is the current user and they're GM
-        if (game.user.isGM && user.isSelf) {
-            const controls = this._createRuinControls();
+        // Add controls if this user can manage Ruin
+        if (canInteract) {
+            const controls = this._createRuinControls(pool);
             container.appendChild(controls);
         }
 
+        return container;
+    }
+
+    /**
+     * Add fate point displays to a player list item, one per character
+     * @param {HTMLElement} li - The list item element
+     * @param {Actor[]} characters - The user's characters
+     * @private
+     */
+    static _addFateDisplay(li, characters) {
+        let display;
+        if (characters.length === 1) {
+            display = this._createFateDisplay(characters[0]);
+        } else {
+            // Stack the badges so a player with several characters still fits on one row
+            display = document.createElement("div");
+            display.classList.add("impmal-fate-stack");
+            for (const character of characters) {
+                display.appendChild(this._createFateDisplay(character, { showName: true }));
+            }
+        }
+
         // Find player name element and insert after it
         const playerName = li.querySelector(".player-name") || li.querySelector("span");
         if (playerName) {
-            playerName.after(container);
+            playerName.after(display);
         } else {
-            li.appendChild(container);
+            li.appendChild(display);
         }
     }
 
     /**
-     * Add fate point display to a player list item
-     * @param {HTMLElement} li - The list item element
-     * @param {User} user - The user
-     * @param {{current: number, max: number}} fateData - The fate point data
+     * Add a row for the party Fate pool above the players
+     * @param {HTMLElement} firstLi - The first player list item
      * @private
      */
-    static _addFateDisplay(li, user, fateData) {
+    static _addPartyFateRow(firstLi) {
+        const row = document.createElement("li");
+        row.classList.add("impmal-party-fate-row");
+
+        const label = document.createElement("span");
+        label.classList.add("player-name");
+        label.textContent = localize("PartyFate");
+
+        row.appendChild(label);
+        row.appendChild(this._createFateDisplay(null));
+        firstLi.before(row);
+    }
+
+    /**
+     * Get the fate shown by a display
+     * @param {Actor|null} character - The character, or null for the party pool
+     * @returns {{current: number, max: number}|null} The fate point data
+     * @private
+     */
+    static _getFateData(character) {
+        return character ? FatePointManager.getFatePoints(character) : FatePointManager.getPartyFate();
+    }
+
+    /**
+     * Create the fate point display for a character or the party pool
+     * @param {Actor|null} character - The character, or null for the party pool
+     * @param {object} [options] - Display options
+     * @param {boolean} [options.showName=false] - Whether to label the badge with the character's name
+     * @returns {HTMLElement} The fate display container
+     * @private
+     */
+    static _createFateDisplay(character, { showName = false } = {}) {
         const showMax = getSetting(SETTINGS_KEYS.SHOW_MAX_FATE);
-        const allowPlayerUse = getSetting(SETTINGS_KEYS.ALLOW_PLAYER_USE);
+        const fateData = this._getFateData(character);
         
         // Create fate display container
         const container = document.createElement("div");
         container.classList.add("impmal-fate-container", "fate-container");
-        container.dataset.userId = user.id;
+        if (character) {
+            container.dataset.actorId = character.id;
+        } else {
+            container.classList.add("party-fate-container");
+        }
 
         // Create fate icon
         const icon = document.createElement("img");
-        icon.src = "icons/magic/holy/angel-winged-humanoid-blue.webp";
+        icon.src = FATE_ICON;
         icon.alt = localize("FatePoints");
         icon.classList.add("fate-icon");
 
@@ -167,14 +548,15 @@ export class UIHandler {
         }
 
         // Determine if this user can interact with fate
-        const canInteract = this._canInteractWithFate(user);
+        const canInteract = this._canInteractWithFate(character);
         const canUse = canInteract && fateData.current > 0;
         
         // Set up tooltip
         let tooltipText = format("Tooltip.FatePoints", { 
-            characterName: FatePointManager.getPlayerCharacter(user)?.name ?? "Unknown",
+            characterName: character?.name ?? localize("PartyFate"),
             current: fateData.current,
-            max: fateData.max
+            max: fateData.max,
+            label: FatePointManager.getFateLabel(character)
         });
 
         if (canUse) {
@@ -182,19 +564,27 @@ export class UIHandler {
             container.classList.add("interactive");
         }
 
-        if (game.user.isGM) {
-            tooltipText += "\n" + localize("Tooltip.CtrlClickToAdd");
-            tooltipText += "\n" + localize("Tooltip.CtrlRightClickToRemove");
+        const canAdd = Permissions.has(game.user, PERMISSIONS.ADD_FATE);
+        const canRemove = Permissions.has(game.user, PERMISSIONS.REMOVE_FATE);
+        if (canAdd) tooltipText += "\n" + localize("Tooltip.CtrlClickToAdd");
+        if (canRemove) tooltipText += "\n" + localize("Tooltip.CtrlRightClickToRemove");
+        if (canAdd || canRemove) tooltipText += "\n" + localize("Tooltip.ShiftForAmount");
+
+        // Players can hide their own characters' fate from other players
+        const canHide = !!character && !game.user.isGM && FatePointManager.isOwnCharacter(character, game.user);
+        if (character && FatePointManager.isFateHidden(character)) {
+            tooltipText += "\n" + localize("Tooltip.FateHidden");
+            container.classList.add("hidden-fate");
         }
 
         container.dataset.tooltip = tooltipText;
         container.dataset.tooltipDirection = "UP";
 
         // Add click handlers
-        if (canUse || game.user.isGM) {
+        if (canUse || canAdd || canRemove) {
             container.style.cursor = "pointer";
-            container.addEventListener("click", (event) => this._onFateClick(event, user));
-            container.addEventListener("contextmenu", (event) => this._onFateRightClick(event, user));
+            container.addEventListener("click", (event) => this._onFateClick(event, character));
+            container.addEventListener("contextmenu", (event) => this._onFateRightClick(event, character));
         }
 
         // Style based on fate availability
@@ -205,30 +595,103 @@ export class UIHandler {
         }
 
         // Assemble the display
+        if (showName) {
+            const name = document.createElement("span");
+            name.classList.add("fate-character-name");
+            name.textContent = character.name;
+            container.appendChild(name);
+        }
         container.appendChild(icon);
-        container.appendChild(valueDisplay);
 
-        // Add GM controls if user is GM
-        if (game.user.isGM) {
-            const controls = this._createFateControls(user);
+        // Pips replace the number unless there are too many for one per point
+        const pips = this._createPips(`fate.${character?.uuid ?? "party"}`, fateData, icon);
+        if (pips) container.appendChild(pips);
+        if (!pips || fateData.max > MAX_PIPS) container.appendChild(valueDisplay);
+
+        // Only GMs change a character's maximum
+        const canChangeMax = !!character && game.user.isGM;
+
+        // Add controls if this user can adjust or hide fate
+        if (canAdd || canRemove || canHide || canChangeMax) {
+            const controls = this._createFateControls(character, { canAdd, canRemove, canHide, canChangeMax });
             container.appendChild(controls);
         }
 
-        // Find player name element and insert after it
-        const playerName = li.querySelector(".player-name") || li.querySelector("span");
-        if (playerName) {
-            playerName.after(container);
-        } else {
-            li.appendChild(container);
+        return container;
+    }
+
+    /**
+     * Create the pips or bar segments for a pool, when that display style is chosen
+     * Held points are lit and spent points greyed. Above MAX_PIPS, each pip stands for several points
+     * and is partly lit when only some are held. Points gained or lost in a change noted moments ago
+     * are animated
+     * @param {string} key - Identifies the pool, as used when noting its changes
+     * @param {{current: number, max: number}} data - The pool's points
+     * @param {HTMLElement} icon - The display's icon, copied into each pip
+     * @returns {HTMLElement|null} The pips, or null when the display shows a number
+     * @private
+     */
+    static _createPips(key, { current, max }, icon) {
+        const style = getSetting(SETTINGS_KEYS.DISPLAY_STYLE);
+        if (style !== DISPLAY_STYLES.PIPS && style !== DISPLAY_STYLES.BAR) return null;
+
+        // A pool without a maximum has nothing to draw, so it keeps its number
+        if (max <= 0) return null;
+
+        // A change is only animated for a moment, however often the display is rendered
+        let change = this._changes.get(key);
+        if (change && change.until < Date.now()) {
+            this._changes.delete(key);
+            change = null;
+        }
+        this._shownValues.set(key, current);
+
+        const pips = document.createElement("span");
+        pips.classList.add("fate-pips", `fate-pips-${style}`);
+
+        const step = Math.ceil(max / MAX_PIPS) || 1;
+        if (step > 1) pips.classList.add("compact");
+
+        for (let start = 0; start < max; start += step) {
+            const end = Math.min(start + step, max);
+            const held = Math.clamp(current - start, 0, end - start);
+
+            const pip = document.createElement("span");
+            pip.classList.add("fate-pip");
+            if (held === end - start) {
+                pip.classList.add("held");
+            } else if (held > 0) {
+                pip.classList.add("partial");
+                pip.style.setProperty("--fill", `${Math.round(held / (end - start) * 100)}%`);
+            } else {
+                pip.classList.add("spent");
+            }
+
+            // Pips covering points the change gained or lost
+            if (change) {
+                const low = Math.min(change.from, change.to);
+                const high = Math.max(change.from, change.to);
+                if (start < high && end > low) pip.classList.add(change.to > change.from ? "gained" : "lost");
+            }
+
+            if (style === DISPLAY_STYLES.PIPS) {
+                const pipIcon = icon.cloneNode();
+                pipIcon.classList.remove("fate-icon", "ruin-icon");
+                pip.appendChild(pipIcon);
+            }
+            pips.appendChild(pip);
         }
+
+        return pips;
     }
 
     /**
      * Create GM control buttons for Ruin
+     * @param {string|null} pool - The GM holding the pool, or null for the shared pool
      * @returns {HTMLElement} The controls container
      * @private
      */
-    static _createRuinControls() {
+    static _createRuinControls(pool) {
         const controls = document.createElement("div");
         controls.classList.add("fate-gm-controls", "ruin-controls");
 
@@ -239,7 +702,7 @@ export class UIHandler {
         addBtn.title = localize("Controls.AddRuin");
         addBtn.addEventListener("click", async (event) => {
             event.stopPropagation();
-            await FatePointManager.addRuin();
+            await this._addRuinOnClick(event, pool);
         });
 
         // Remove button
@@ -249,22 +712,47 @@ export class UIHandler {
         removeBtn.title = localize("Controls.RemoveRuin");
         removeBtn.addEventListener("click", async (event) => {
             event.stopPropagation();
-            await FatePointManager.removeRuin();
+            await this._removeRuinOnClick(event, pool);
+        });
+
+        // Start session button
+        const sessionBtn = document.createElement("a");
+        sessionBtn.classList.add("fate-control", "session-start");
+        sessionBtn.innerHTML = '<i class="fas fa-hourglass-start"></i>';
+        sessionBtn.title = localize("Controls.StartSession");
+        sessionBtn.addEventListener("click", async (event) => {
+            event.stopPropagation();
+            if (await this._confirmStartSession()) {
+                await FatePointManager.startSession();
+            }
         });
 
         controls.appendChild(addBtn);
         controls.appendChild(removeBtn);
 
+        // Scrolling over the controls adds or removes several points as one change
+        controls.addEventListener("wheel", (event) => this._onControlsWheel(event, controls, `ruin.${pool ?? "shared"}`, delta => {
+            return delta > 0 ? FatePointManager.addRuin(delta, { pool }) : FatePointManager.removeRuin(-delta, { pool });
+        }));
+
+        // Starting a session stays with the GM
+        if (game.user.isGM) controls.appendChild(sessionBtn);
+
         return controls;
     }
 
     /**
-     * Create GM control buttons for Fate
-     * @param {User} user - The user
+     * Create control buttons for Fate
+     * @param {Actor|null} character - The character, or null for the party pool
+     * @param {object} permissions - Which buttons to show
+     * @param {boolean} permissions.canAdd - Whether this user can add fate
+     * @param {boolean} permissions.canRemove - Whether this user can remove fate
+     * @param {boolean} [permissions.canHide=false] - Whether this user can hide the fate from other players
+     * @param {boolean} [permissions.canChangeMax=false] - Whether this user can raise or lower the character's maximum
      * @returns {HTMLElement} The controls container
      * @private
      */
-    static _createFateControls(user) {
+    static _createFateControls(character, { canAdd, canRemove, canHide = false, canChangeMax = false }) {
         const controls = document.createElement("div");
         controls.classList.add("fate-gm-controls");
 
@@ -275,7 +763,7 @@ export class UIHandler {
         addBtn.title = localize("Controls.AddFate");
         addBtn.addEventListener("click", async (event) => {
             event.stopPropagation();
-            await FatePointManager.addFate(user);
+            await this._addFateOnClick(event, character);
         });
 
         // Remove button
@@ -285,154 +773,507 @@ export class UIHandler {
         removeBtn.title = localize("Controls.RemoveFate");
         removeBtn.addEventListener("click", async (event) => {
             event.stopPropagation();
-            await FatePointManager.removeFate(user);
+            await this._removeFateOnClick(event, character);
         });
 
-        controls.appendChild(addBtn);
-        controls.appendChild(removeBtn);
+        if (canAdd) controls.appendChild(addBtn);
+        if (canRemove) controls.appendChild(removeBtn);
+
+        // Scrolling over the controls adds or removes several points as one change
+        if (canAdd || canRemove) {
+            controls.addEventListener("wheel", (event) => this._onControlsWheel(event, controls, character?.uuid ?? "party", delta => {
+                if (delta > 0) return character ? FatePointManager.addFate(character, delta) : FatePointManager.addPartyFate(delta);
+                return character ? FatePointManager.removeFate(character, -delta) : FatePointManager.removePartyFate(-delta);
+            }));
+        }
+
+        // Raise and lower maximum buttons
+        if (canChangeMax) {
+            const raiseBtn = document.createElement("a");
+            raiseBtn.classList.add("fate-control", "fate-max-raise");
+            raiseBtn.innerHTML = '<i class="fas fa-angles-up"></i>';
+            raiseBtn.title = localize("Controls.RaiseFateMax");
+            raiseBtn.addEventListener("click", async (event) => {
+                event.stopPropagation();
+                await FatePointManager.adjustFateMax(character, 1);
+            });
+
+            const lowerBtn = document.createElement("a");
+            lowerBtn.classList.add("fate-control", "fate-max-lower");
+            lowerBtn.innerHTML = '<i class="fas fa-angles-down"></i>';
+            lowerBtn.title = localize("Controls.LowerFateMax");
+            lowerBtn.addEventListener("click", async (event) => {
+                event.stopPropagation();
+                await FatePointManager.adjustFateMax(character, -1);
+            });
+
+            controls.appendChild(raiseBtn);
+            controls.appendChild(lowerBtn);
+        }
+
+        // Visibility toggle; hiding applies to all of the user's characters
+        if (canHide) {
+            const hidden = !!game.user.getFlag(MODULE_ID, "hideFate");
+            const hideBtn = document.createElement("a");
+            hideBtn.classList.add("fate-control", "fate-visibility");
+            hideBtn.innerHTML = `<i class="fas ${hidden ? "fa-eye-slash" : "fa-eye"}"></i>`;
+            hideBtn.title = localize(hidden ? "Controls.ShowFate" : "Controls.HideFate");
+            hideBtn.addEventListener("click", async (event) => {
+                event.stopPropagation();
+                await FatePointManager.setFateHidden(!hidden);
+            });
+            controls.appendChild(hideBtn);
+        }
 
         return controls;
     }
 
     /**
-     * Check if the current user can interact with another user's fate
-     * @param {User} targetUser - The target user
+     * Check if the current user can interact with a character's fate
+     * @param {Actor|null} character - The target character, or null for the party pool
      * @returns {boolean} Whether interaction is allowed
      * @private
      */
-    static _canInteractWithFate(targetUser) {
-        // GMs can always interact with player fate
-        if (game.user.isGM) return true;
-
-        // Check if players are allowed to use fate from UI
-        if (!getSetting(SETTINGS_KEYS.ALLOW_PLAYER_USE)) return false;
-
-        // Players can only use their own fate
-        return targetUser.id === game.user.id;
+    static _canInteractWithFate(character) {
+        // The "Allow Player Fate Use" setting and the permission matrix decide
+        if (!character) return FatePointManager._canUsePartyFate();
+        return FatePointManager._canUseFate(character);
     }
 
     /**
      * Handle left click on Ruin display
      * @param {MouseEvent} event - The click event
+     * @param {string|null} pool - The GM holding the pool, or null for the shared pool
      * @private
      */
-    static async _onRuinClick(event) {
+    static async _onRuinClick(event, pool) {
         event.preventDefault();
         event.stopPropagation();
 
         // Ctrl+click to add Ruin
         if (event.ctrlKey) {
-            await FatePointManager.addRuin();
+            await this._addRuinOnClick(event, pool);
             return;
         }
 
         // Regular click to use Ruin
-        const ruinData = FatePointManager.getRuinPoints();
+        await this.promptRuinUse(pool);
+    }
+
+    /**
+     * Ask what Ruin is spent on and spend it
+     * Opens the Ruin catalogue menu, or a plain confirmation when the catalogue is empty
+     * @param {string|null} [pool] - The GM whose pool to spend from; defaults to this user's pool
+     * @returns {Promise<void>}
+     */
+    static async promptRuinUse(pool = FatePointManager.getRuinPoolId()) {
+        const ruinData = FatePointManager.getRuinPoints(pool);
         if (ruinData.current <= 0) {
-            log("debug", "Cannot use Ruin - none available");
+            notify("InsufficientRuin", "warn");
             return;
         }
 
-        // Confirm Ruin use with dialog
-        const confirmed = await this._confirmRuinUse();
-        
-        if (confirmed) {
-            await FatePointManager.useRuin();
+        // Without a catalogue, fall back to a plain confirmation
+        if (!FatePointManager.getRuinCatalogue().length) {
+            const amount = await this._confirmRuinUse(ruinData.current);
+            if (amount) {
+                await FatePointManager.useRuin(amount, { pool });
+            }
+            return;
+        }
+
+        // Pick what the Ruin is spent on
+        const expenditure = await this._pickRuinExpenditure(ruinData.current);
+        if (expenditure) {
+            await FatePointManager.useRuin(expenditure.cost, { expenditure, pool });
         }
     }
 
     /**
      * Handle right click on Ruin display
      * @param {MouseEvent} event - The click event
+     * @param {string|null} pool - The GM holding the pool, or null for the shared pool
      * @private
      */
-    static async _onRuinRightClick(event) {
+    static async _onRuinRightClick(event, pool) {
         event.preventDefault();
         event.stopPropagation();
 
-        // Only GMs can right-click to remove
-        if (!game.user.isGM) return;
+        if (!Permissions.has(game.user, PERMISSIONS.MANAGE_RUIN)) return;
 
         // Ctrl+right-click to remove Ruin
         if (event.ctrlKey) {
-            await FatePointManager.removeRuin();
+            await this._removeRuinOnClick(event, pool);
         }
     }
 
     /**
      * Handle left click on fate display
      * @param {MouseEvent} event - The click event
-     * @param {User} user - The user whose fate was clicked
+     * @param {Actor|null} character - The character whose fate was clicked, or null for the party pool
      * @private
      */
-    static async _onFateClick(event, user) {
+    static async _onFateClick(event, character) {
         event.preventDefault();
         event.stopPropagation();
 
-        // Ctrl+click for GM to add fate
-        if (event.ctrlKey && game.user.isGM) {
-            await FatePointManager.addFate(user);
+        // Ctrl+click to add fate
+        if (event.ctrlKey && Permissions.has(game.user, PERMISSIONS.ADD_FATE)) {
+            await this._addFateOnClick(event, character);
             return;
         }
 
         // Regular click to use fate
-        const fateData = FatePointManager.getFatePoints(user);
-        if (!fateData || fateData.current <= 0) {
-            log("debug", "Cannot use fate - none available");
+        await this.promptFateUse(character);
+    }
+
+    /**
+     * Ask what fate is spent on and how much, and spend it
+     * @param {Actor|null} character - The character spending fate, or null for the party pool
+     * @returns {Promise<void>}
+     */
+    static async promptFateUse(character) {
+        // A character with no fate left can still burn it
+        const fateData = this._getFateData(character);
+        if (!fateData || (fateData.current <= 0 && !(character && fateData.max > 0))) {
+            notify("InsufficientFate", "warn");
             return;
         }
 
         // Check if user can use this fate
-        if (!this._canInteractWithFate(user)) {
-            log("debug", "Cannot use fate - not authorized");
+        if (!this._canInteractWithFate(character)) {
+            notify("CannotUseFate", "warn");
             return;
         }
 
-        // Confirm fate use with dialog
-        const character = FatePointManager.getPlayerCharacter(user);
-        const confirmed = await this._confirmFateUse(character);
+        // Ask what the fate is spent on
+        const choice = await this._confirmFateUse(character);
         
-        if (confirmed) {
-            await FatePointManager.useFate(user);
+        if (choice?.burn) {
+            await FatePointManager.burnFate(character, choice.amount);
+        } else if (choice) {
+            const { amount, ...options } = choice;
+            await (character ? FatePointManager.useFate(character, amount, options) : FatePointManager.usePartyFate(amount, options));
         }
     }
 
     /**
      * Handle right click on fate display
      * @param {MouseEvent} event - The click event
-     * @param {User} user - The user whose fate was clicked
+     * @param {Actor|null} character - The character whose fate was clicked, or null for the party pool
      * @private
      */
-    static async _onFateRightClick(event, user) {
+    static async _onFateRightClick(event, character) {
         event.preventDefault();
         event.stopPropagation();
 
-        // Only GMs can right-click to remove
-        if (!game.user.isGM) return;
+        if (!Permissions.has(game.user, PERMISSIONS.REMOVE_FATE)) return;
 
         // Ctrl+right-click to remove fate
         if (event.ctrlKey) {
-            await FatePointManager.removeFate(user);
+            await this._removeFateOnClick(event, character);
         }
     }
 
     /**
-     * Show confirmation dialog for using fate
-     * @param {Actor} character - The character using fate
-     * @returns {Promise<boolean>} Whether the user confirmed
+     * Add fate for a click: one point, or the amount asked for when Shift is held
+     * @param {MouseEvent} event - The click event
+     * @param {Actor|null} character - The character, or null for the party pool
+     * @returns {Promise<void>}
+     * @private
+     */
+    static async _addFateOnClick(event, character) {
+        const { current, max } = this._getFateData(character);
+        const amount = await this._getClickAmount(event, "AddFateTitle", max - current);
+        if (!amount) return;
+        await (character ? FatePointManager.addFate(character, amount) : FatePointManager.addPartyFate(amount));
+    }
+
+    /**
+     * Remove fate for a click: one point, or the amount asked for when Shift is held
+     * @param {MouseEvent} event - The click event
+     * @param {Actor|null} character - The character, or null for the party pool
+     * @returns {Promise<void>}
+     * @private
+     */
+    static async _removeFateOnClick(event, character) {
+        const amount = await this._getClickAmount(event, "RemoveFateTitle", this._getFateData(character).current);
+        if (!amount) return;
+        await (character ? FatePointManager.removeFate(character, amount) : FatePointManager.removePartyFate(amount));
+    }
+
+    /**
+     * Add Ruin for a click: one point, or the amount asked for when Shift is held
+     * @param {MouseEvent} event - The click event
+     * @param {string|null} pool - The GM holding the pool, or null for the shared pool
+     * @returns {Promise<void>}
+     * @private
+     */
+    static async _addRuinOnClick(event, pool) {
+        const { current, max } = FatePointManager.getRuinPoints(pool);
+        const amount = await this._getClickAmount(event, "AddRuinTitle", max - current);
+        if (!amount) return;
+        await FatePointManager.addRuin(amount, { pool });
+    }
+
+    /**
+     * Remove Ruin for a click: one point, or the amount asked for when Shift is held
+     * @param {MouseEvent} event - The click event
+     * @param {string|null} pool - The GM holding the pool, or null for the shared pool
+     * @returns {Promise<void>}
+     * @private
+     */
+    static async _removeRuinOnClick(event, pool) {
+        const amount = await this._getClickAmount(event, "RemoveRuinTitle", FatePointManager.getRuinPoints(pool).current);
+        if (!amount) return;
+        await FatePointManager.removeRuin(amount, { pool });
+    }
+
+    /**
+     * Get how many points a click changes
+     * A plain click changes one point; with Shift held, the user is asked how many
+     * @param {MouseEvent} event - The click event
+     * @param {string} title - The prompt's title, as a key under Dialog
+     * @param {number} max - The most points the change can make
+     * @returns {Promise<number|null>} The amount, or null if the prompt was cancelled
+     * @private
+     */
+    static async _getClickAmount(event, title, max) {
+        // Without room to change, one point lets the usual checks explain why nothing happens
+        if (!event.shiftKey || max < 1) return 1;
+        return this._promptAmount(title, max);
+    }
+
+    /**
+     * Ask for a number of points
+     * @param {string} title - The prompt's title, as a key under Dialog
+     * @param {number} max - The most points that can be chosen
+     * @returns {Promise<number|null>} The amount, or null if cancelled
+     * @private
+     */
+    static async _promptAmount(title, max) {
+        const content = await renderTemplate("amount-dialog.hbs", { max });
+
+        return foundry.applications.api.DialogV2.prompt({
+            window: { 
+                title: localize(`Dialog.${title}`) 
+            },
+            content,
+            ok: {
+                label: localize("Dialog.Apply"),
+                icon: "fas fa-check",
+                callback: (event, button) => this._readAmount(button.form, max)
+            },
+            rejectClose: false
+        });
+    }
+
+    /**
+     * Read the amount field of a dialog
+     * @param {HTMLFormElement} form - The dialog's form
+     * @param {number} max - The most points that can be chosen
+     * @returns {number} The amount, between 1 and the maximum
+     * @private
+     */
+    static _readAmount(form, max) {
+        const amount = Math.floor(form.elements.amount?.valueAsNumber);
+        return Number.isFinite(amount) ? Math.clamp(amount, 1, Math.max(1, max)) : 1;
+    }
+
+    /**
+     * Collect scroll wheel steps over +/- controls and apply them as one change
+     * Scrolling up adds and scrolling down removes. The change is made once the wheel has been still
+     * for a moment, so it is posted as a single chat card; the controls show the total until then
+     * @param {WheelEvent} event - The wheel event
+     * @param {HTMLElement} controls - The controls the wheel was turned over
+     * @param {string} key - Identifies the target, so steps for the same target add up
+     * @param {function(number): Promise<*>} apply - Applies the total change
+     * @private
+     */
+    static _onControlsWheel(event, controls, key, apply) {
+        if (!event.deltaY) return;
+        event.preventDefault();
+        event.stopPropagation();
+
+        const pending = this._wheelChanges.get(key) ?? { delta: 0, timeout: null };
+        clearTimeout(pending.timeout);
+        pending.delta += event.deltaY < 0 ? 1 : -1;
+        pending.timeout = setTimeout(() => {
+            this._wheelChanges.delete(key);
+            delete controls.dataset.pending;
+            if (pending.delta) apply(pending.delta);
+        }, WHEEL_DELAY);
+        this._wheelChanges.set(key, pending);
+
+        controls.dataset.pending = pending.delta > 0 ? `+${pending.delta}` : `${pending.delta}`;
+    }
+
+    /**
+     * Show the spend dialog for using fate
+     * Lets the user pick how much fate is spent, what on and which recent roll it applies to, or burn it instead
+     * @param {Actor|null} character - The character using fate, or null for the party pool
+     * @returns {Promise<{amount: number, use: string, rollMessageId: string|null}|{amount: number, burn: true}|null>} The choice, or null if cancelled
      * @private
      */
     static async _confirmFateUse(character) {
-        return foundry.applications.api.DialogV2.confirm({
+        const rolls = {};
+        for (const message of this._getRecentRolls(character)) {
+            const time = new Date(message.timestamp).toLocaleTimeString();
+            const label = message.flavor || message.rolls[0]?.formula || localize("Dialog.Roll");
+
+            // Party spends can apply to any character's roll, so say whose it was
+            rolls[message.id] = character ? `${time} - ${label}` : `${time} - ${message.speaker?.alias ?? ""}: ${label}`;
+        }
+
+        // Spends are capped at the fate left and burns at the maximum
+        const { current, max } = this._getFateData(character);
+        const content = await renderTemplate("fate-spend-dialog.hbs", {
+            prompt: format("Dialog.UseFateContent", { 
+                characterName: character?.name ?? localize("PartyFate") 
+            }),
+            max: character ? Math.max(current, max) : current,
+            uses: Object.values(FATE_USES).map((use, index) => ({
+                value: use,
+                label: localize(`FateUses.${use}`),
+                checked: index === 0
+            })),
+            rolls
+        });
+
+        return foundry.applications.api.DialogV2.wait({
             window: { 
                 title: localize("Dialog.UseFateTitle") 
             },
-            content: format("Dialog.UseFateContent", { 
-                characterName: character?.name ?? "Unknown" 
+            content,
+            buttons: [
+                // With no fate left, it can only be burned
+                ...(current > 0 ? [{
+                    action: "use",
+                    label: localize("Dialog.Confirm"),
+                    icon: "fas fa-check",
+                    callback: (event, button) => ({
+                        amount: this._readAmount(button.form, current),
+                        use: button.form.elements.use.value,
+                        rollMessageId: button.form.elements.rollMessageId.value || null
+                    })
+                }] : []),
+                // Burning lowers a character's maximum, so the party pool can't be burned
+                ...(character ? [{
+                    action: "burn",
+                    label: localize("Dialog.BurnFate"),
+                    icon: "fas fa-fire",
+                    callback: (event, button) => ({ amount: this._readAmount(button.form, max), burn: true })
+                }] : []),
+                {
+                    action: "cancel",
+                    label: localize("Dialog.Cancel"),
+                    icon: "fas fa-times",
+                    default: true,
+                    callback: () => null
+                }
+            ],
+            rejectClose: false
+        });
+    }
+
+    /**
+     * Get the most recent roll messages spoken by a character, newest first
+     * @param {Actor|null} character - The character, or null for any party character
+     * @param {number} [limit=5] - Maximum number of messages
+     * @returns {ChatMessage[]} The roll messages
+     * @private
+     */
+    static _getRecentRolls(character, limit = 5) {
+        const actorIds = character ? [character.id] : FatePointManager.getPartyCharacters().map(actor => actor.id);
+        if (!actorIds.length) return [];
+
+        return game.messages.contents
+            .filter(message => actorIds.includes(message.speaker?.actor) && (message.isRoll || message.type === "test"))
+            .slice(-limit)
+            .reverse();
+    }
+
+    /**
+     * Scroll the chat log to a message and briefly highlight it
+     * @param {string} messageId - The chat message ID
+     * @private
+     */
+    static _scrollToMessage(messageId) {
+        const element = document.querySelector(`#chat .chat-message[data-message-id="${messageId}"]`);
+        if (!element) {
+            log("debug", "Linked roll message is not rendered", { messageId });
+            return;
+        }
+
+        element.scrollIntoView({ behavior: "smooth", block: "center" });
+        element.classList.add("impmal-highlight");
+        setTimeout(() => element.classList.remove("impmal-highlight"), 1500);
+    }
+
+    /**
+     * Show the Ruin spending menu built from the GM's catalogue
+     * @param {number} available - Ruin currently in the pool
+     * @returns {Promise<object|null>} The chosen catalogue entry, or null if cancelled
+     * @private
+     */
+    static async _pickRuinExpenditure(available) {
+        const catalogue = FatePointManager.getRuinCatalogue();
+        const firstAffordable = catalogue.find(entry => entry.cost <= available);
+
+        const content = await renderTemplate("ruin-spend-dialog.hbs", {
+            entries: catalogue.map(entry => ({
+                id: entry.id,
+                name: game.i18n.localize(entry.name),
+                description: game.i18n.localize(entry.description),
+                cost: entry.cost,
+                disabled: entry.cost > available,
+                checked: entry === firstAffordable
+            }))
+        });
+
+        const expenditureId = await foundry.applications.api.DialogV2.wait({
+            window: { 
+                title: localize("Dialog.UseRuinTitle") 
+            },
+            content,
+            buttons: [
+                {
+                    action: "use",
+                    label: localize("Dialog.ConfirmRuin"),
+                    icon: "fas fa-skull",
+                    callback: (event, button) => button.form.elements.expenditure?.value || null
+                },
+                {
+                    action: "cancel",
+                    label: localize("Dialog.Cancel"),
+                    icon: "fas fa-times",
+                    default: true,
+                    callback: () => null
+                }
+            ],
+            rejectClose: false
+        });
+
+        return catalogue.find(entry => entry.id === expenditureId) ?? null;
+    }
+
+    /**
+     * Show confirmation dialog for starting a new session
+     * @returns {Promise<boolean>} Whether the GM confirmed
+     * @private
+     */
+    static async _confirmStartSession() {
+        return foundry.applications.api.DialogV2.confirm({
+            window: { 
+                title: localize("Dialog.StartSessionTitle") 
+            },
+            content: format("Dialog.StartSessionContent", {
+                session: FatePointManager.getSessionNumber() + 1,
+                ruin: getSetting(SETTINGS_KEYS.SESSION_RUIN_START)
             }),
             yes: {
-                label: localize("Dialog.Confirm"),
-                icon: "fas fa-check"
+                label: localize("Dialog.ConfirmStartSession"),
+                icon: "fas fa-hourglass-start"
             },
             no: {
                 label: localize("Dialog.Cancel"),
@@ -443,19 +1284,28 @@ export class UIHandler {
     }
 
     /**
-     * Show confirmation dialog for using Ruin
-     * @returns {Promise<boolean>} Whether the user confirmed
-     * @private
+     * Ask the GM to confirm burning a character's fate
+     * @param {Actor} character - The character burning fate
+     * @param {number} amount - Amount of fate to burn
+     * @param {User} requester - The user asking for the burn
+     * @returns {Promise<boolean>} Whether the GM confirmed
      */
-    static async _confirmRuinUse() {
+    static async confirmFateBurn(character, amount, requester) {
+        const { max } = FatePointManager.getFatePoints(character);
         return foundry.applications.api.DialogV2.confirm({
             window: { 
-                title: localize("Dialog.UseRuinTitle") 
+                title: localize("Dialog.BurnFateTitle") 
             },
-            content: localize("Dialog.UseRuinContent"),
+            content: format("Dialog.BurnFateContent", {
+                userName: Handlebars.escapeExpression(requester.name),
+                characterName: Handlebars.escapeExpression(character.name),
+                amount,
+                max,
+                newMax: max - amount
+            }),
             yes: {
-                label: localize("Dialog.ConfirmRuin"),
-                icon: "fas fa-skull"
+                label: localize("Dialog.ConfirmBurn"),
+                icon: "fas fa-fire"
             },
             no: {
                 label: localize("Dialog.Cancel"),
@@ -464,4 +1314,40 @@ export class UIHandler {
             defaultYes: false
         });
     }
+
+    /**
+     * Show confirmation dialog for using Ruin
+     * @param {number} max - The Ruin left in the pool, which caps the amount
+     * @returns {Promise<number|null>} The amount to spend, or null if cancelled
+     * @private
+     */
+    static async _confirmRuinUse(max) {
+        const content = await renderTemplate("amount-dialog.hbs", {
+            prompt: localize("Dialog.UseRuinContent"),
+            max
+        });
+
+        return foundry.applications.api.DialogV2.wait({
+            window: { 
+                title: localize("Dialog.UseRuinTitle") 
+            },
+            content,
+            buttons: [
+                {
+                    action: "use",
+                    label: localize("Dialog.ConfirmRuin"),
+                    icon: "fas fa-skull",
+                    callback: (event, button) => this._readAmount(button.form, max)
+                },
+                {
+                    action: "cancel",
+                    label: localize("Dialog.Cancel"),
+                    icon: "fas fa-times",
+                    default: true,
+                    callback: () => null
+                }
+            ],
+            rejectClose: false
+        });
+    }
 }
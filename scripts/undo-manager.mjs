@@ -0,0 +1,268 @@
+import { MODULE_ID, SETTINGS_KEYS, HOOKS } from "./constants.mjs";
+import { getSetting, setSetting } from "./settings.mjs";
+import { Ledger } from "./ledger.mjs";
+import { FatePointManager } from "./fate-point-manager.mjs";
+import { log, notify, localize } from "./utils.mjs";
+
+/**
+ * Number of operations kept on the undo stack
+ * @type {number}
+ */
+const MAX_HISTORY = 20;
+
+/**
+ * Ledger reasons that are not pushed onto the undo stack
+ * @type {string[]}
+ */
+const IGNORED_REASONS = ["sheet", "undo", "redo"];
+
+/**
+ * Ledger entry types stored in a world setting rather than on a character sheet
+ * @type {Record<string, {setting: string, label: string}>}
+ */
+const POOLS = {
+    ruin: { setting: SETTINGS_KEYS.GM_RUIN, label: "RuinPoints" },
+    party: { setting: SETTINGS_KEYS.PARTY_FATE, label: "PartyFate" }
+};
+
+/**
+ * GM undo/redo stack for Fate and Ruin adjustments
+ * Operations are collected on the active GM's client as they are recorded in the ledger
+ */
+export class UndoManager {
+
+    /**
+     * Operations that can be undone, oldest first
+     * @type {object[]}
+     * @private
+     */
+    static _undoStack = [];
+
+    /**
+     * Operations that can be redone, oldest first
+     * @type {object[]}
+     * @private
+     */
+    static _redoStack = [];
+
+    /**
+     * Add a recorded operation to the undo stack
+     * Starting a new operation discards anything that could be redone
+     * @param {object} entry - The ledger entry for the operation
+     */
+    static push(entry) {
+        if (!game.user.isGM || !entry.operationId) return;
+        if (IGNORED_REASONS.includes(entry.reason)) return;
+
+        const { operationId, type, actorUuid = null, pool = null, oldValue, newValue, oldMax = null, newMax = null } = entry;
+        this._undoStack.push({ operationId, type, actorUuid, pool, oldValue, newValue, oldMax, newMax });
+        if (this._undoStack.length > MAX_HISTORY) this._undoStack.shift();
+
+        this._redoStack = [];
+        log("debug", "Operation added to undo stack", entry);
+    }
+
+    /**
+     * Check if an operation can currently be undone
+     * @param {string} operationId - The operation ID
+     * @returns {boolean} Whether the operation is on the undo stack
+     */
+    static canUndo(operationId) {
+        return this._undoStack.some(op => op.operationId === operationId);
+    }
+
+    /**
+     * Check if an operation can currently be redone
+     * @param {string} operationId - The operation ID
+     * @returns {boolean} Whether the operation is on the redo stack
+     */
+    static canRedo(operationId) {
+        return this._redoStack.some(op => op.operationId === operationId);
+    }
+
+    /**
+     * Undo the most recent operations (GM only)
+     * @param {number} [count=1] - Number of operations to undo
+     * @returns {Promise<number>} Number of operations undone
+     */
+    static async undo(count = 1) {
+        return this._step(this._undoStack, this._redoStack, count, "undo");
+    }
+
+    /**
+     * Redo the most recently undone operations (GM only)
+     * @param {number} [count=1] - Number of operations to redo
+     * @returns {Promise<number>} Number of operations redone
+     */
+    static async redo(count = 1) {
+        return this._step(this._redoStack, this._undoStack, count, "redo");
+    }
+
+    /**
+     * Undo every operation back to and including the given one
+     * @param {string} operationId - The oldest operation to undo
+     * @returns {Promise<number>} Number of operations undone
+     */
+    static async undoTo(operationId) {
+        const index = this._undoStack.findIndex(op => op.operationId === operationId);
+        if (index === -1) {
+            notify("NothingToUndo", "info");
+            return 0;
+        }
+        return this.undo(this._undoStack.length - index);
+    }
+
+    /**
+     * Redo every undone operation up to and including the given one
+     * @param {string} operationId - The last operation to redo
+     * @returns {Promise<number>} Number of operations redone
+     */
+    static async redoTo(operationId) {
+        const index = this._redoStack.findIndex(op => op.operationId === operationId);
+        if (index === -1) {
+            notify("NothingToRedo", "info");
+            return 0;
+        }
+        return this.redo(this._redoStack.length - index);
+    }
+
+    /**
+     * Move operations from one stack to the other, applying each one
+     * @param {object[]} from - The stack to take operations from
+     * @param {object[]} to - The stack to move applied operations to
+     * @param {number} count - Number of operations to apply
+     * @param {"undo"|"redo"} direction - Which way to apply them
+     * @returns {Promise<number>} Number of operations applied
+     * @private
+     */
+    static async _step(from, to, count, direction) {
+        if (!game.user.isGM) {
+            notify("GMOnly", "warn");
+            return 0;
+        }
+
+        if (!from.length) {
+            notify(direction === "undo" ? "NothingToUndo" : "NothingToRedo", "info");
+            return 0;
+        }
+
+        let applied = 0;
+        while (applied < count && from.length) {
+            const op = from.pop();
+            const [expected, value] = direction === "undo"
+                ? [op.newValue, op.oldValue]
+                : [op.oldValue, op.newValue];
+
+            // An operation that could not be applied stays where it was, so it can be tried again
+            if (!await this._apply(op, expected, value, direction)) {
+                from.push(op);
+                break;
+            }
+
+            to.push(op);
+            await this._markMessage(op, direction === "undo");
+            applied++;
+        }
+
+        log("info", `${direction} applied`, { applied });
+        return applied;
+    }
+
+    /**
+     * Set the target of an operation back to a value, if it has not changed since
+     * Runs under the same per-target lock as every other Fate and Ruin change, so nothing can be
+     * written between the check and the write
+     * @param {object} op - The operation
+     * @param {number} expected - The value the target must currently have
+     * @param {number} value - The value to set
+     * @param {"undo"|"redo"} reason - The reason recorded in the ledger
+     * @returns {Promise<boolean>} Whether the value was set
+     * @private
+     */
+    static _apply(op, expected, value, reason) {
+        const key = op.type === "fate" ? op.actorUuid : (op.type === "ruin" ? `ruin.${op.pool ?? "shared"}` : "party");
+        return FatePointManager._serialize(key, () => this._applyLocked(op, expected, value, reason));
+    }
+
+    /**
+     * Set the target of an operation back to a value, once its lock is held
+     * @param {object} op - The operation
+     * @param {number} expected - The value the target must currently have
+     * @param {number} value - The value to set
+     * @param {"undo"|"redo"} reason - The reason recorded in the ledger
+     * @returns {Promise<boolean>} Whether the value was set
+     * @private
+     */
+    static async _applyLocked(op, expected, value, reason) {
+        try {
+            // Each GM's own Ruin pool lives in one shared world setting
+            if (op.type === "ruin" && op.pool) {
+                const current = FatePointManager.getRuinPoints(op.pool).current;
+                if (current !== expected) {
+                    notify("UndoConflict", "warn", { format: { name: FatePointManager.getRuinPoolName(op.pool) } });
+                    return false;
+                }
+
+                await FatePointManager.storeRuin(op.pool, value);
+                Hooks.callAll(HOOKS.RUIN_CHANGED, game.user, { oldValue: current, newValue: value, reason, pool: op.pool });
+                await Ledger.record({ type: op.type, pool: op.pool, oldValue: current, newValue: value, reason });
+                return true;
+            }
+
+            // The Ruin and party Fate pools are world settings
+            const pool = POOLS[op.type];
+            if (pool) {
+                const current = getSetting(pool.setting);
+                if (current !== expected) {
+                    notify("UndoConflict", "warn", { format: { name: localize(pool.label) } });
+                    return false;
+                }
+
+                await setSetting(pool.setting, value);
+                if (op.type === "ruin") {
+                    Hooks.callAll(HOOKS.RUIN_CHANGED, game.user, { oldValue: current, newValue: value, reason, pool: null });
+                } else {
+                    Hooks.callAll(HOOKS.FATE_CHANGED, null, game.user, { oldValue: current, newValue: value, reason });
+                }
+                await Ledger.record({ type: op.type, oldValue: current, newValue: value, reason });
+                return true;
+            }
+
+            // Burns and maximum changes restore the maximum as well
+            const [expectedMax, max] = reason === "undo" ? [op.newMax, op.oldMax] : [op.oldMax, op.newMax];
+
+            // Unlinked token actors are only found by their UUID
+            const actor = FatePointManager.resolveCharacter(op.actorUuid);
+            const fatePoints = FatePointManager.getFatePoints(actor);
+            if (fatePoints?.current !== expected || (max !== null && fatePoints.max !== expectedMax)) {
+                notify("UndoConflict", "warn", { format: { name: actor?.name ?? "Unknown" } });
+                return false;
+            }
+
+            // The updateActor hook records the ledger entry and skips the chat message
+            const update = FatePointManager.getFateUpdate(actor, value);
+            if (max !== null) Object.assign(update, FatePointManager.getFateMaxUpdate(actor, max));
+            await actor.update(update, {
+                _impmalSharedFate: { reason }
+            });
+            return true;
+        } catch (error) {
+            log("error", `Failed to ${reason} operation`, error);
+            notify("UpdateFailed", "error");
+            return false;
+        }
+    }
+
+    /**
+     * Strike through, or restore, the chat message posted for an operation
+     * @param {object} op - The operation
+     * @param {boolean} undone - Whether the operation is now undone
+     * @private
+     */
+    static async _markMessage(op, undone) {
+        const message = FatePointManager.getChangeMessage(op.operationId);
+        if (!message) return;
+
+        await message.setFlag(MODULE_ID, "undone", undone);
+    }
+}
@@ -83,3 +83,14 @@ export function localize(key) {
 export function format(key, data) {
     return game.i18n.format(`IMPMAL_SHARED_FATE.${key}`, data);
 }
+
+/**
+ * Render one of the module's Handlebars templates
+ * @param {string} path - The template path relative to the module's templates folder
+ * @param {object} data - The template data
+ * @returns {Promise<string>} The rendered HTML
+ */
+export function renderTemplate(path, data) {
+    const render = foundry.applications.handlebars?.renderTemplate ?? globalThis.renderTemplate;
+    return render(`modules/${MODULE_ID}/templates/${path}`, data);
+}